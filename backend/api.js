@@ -3,78 +3,939 @@ const express = require('express')
 const cors = require('cors')
 const http = require('http')
 const WebSocket = require('ws')
-const { getAllGames, getGamesByLeague } = require('./dbQueries')
+const {
+    getAllGames, getGamesByLeague, getGame, getGameTimeline, getLeagueStatuses, getGameCounts, queryGames, getGamesVersion,
+    listApiKeys
+} = require('./dbQueries')
+const { CommandError, sendCommand } = require('./control')
+const { onNotification, startListening } = require('./notifier')
+const { leagues, toPublicLeague } = require('./leagueConfigs')
+const { normalizeFilter, matchesFilter, FilterValidationError } = require('./filters')
+const { parseGamesQuery, parseGameQuery, selectFields, encodeCursor } = require('./gamesQuery')
+const { parseTopics, topicsForGame, MAX_TOPICS_PER_CLIENT } = require('./topics')
+const { PROTOCOL_VERSION, ProtocolError, protocolSchema, validateClientMessage, validateServerMessage } = require('./protocol')
+const {
+    AuthError, authEnabled, authenticate, requireScope, hasScope, hasConnectionSlot, acquireConnection, releaseConnection
+} = require('./auth')
+const {
+    SLOW_CONSUMER_BYTES, MAX_BUFFERED_BYTES, BACKLOG_FLUSH_MS, createRateLimiter, messageCost, takeTokens
+} = require('./limits')
+const { connectedClients, clientSessions, messagesReceived, messagesSent, bytesSent, metricsHandler } = require('./metrics')
+const { SSE_KEEPALIVE_MS, openStream, writeEvent, writeKeepalive, parseEventId, subscriptionFromQuery } = require('./sse')
+const {
+    createSession, getSession, nextSeq, recordPush, missedSince, detachSession, attachSession, deleteSession
+} = require('./sessions')
 
 let wss = null  // WebSocket server reference
-const clients = new Set()  // Track connected clients and their filters
-const clientFilters = new Map()  // Map client to their current filters
+const clients = new Set()  // Client sessions (see sessions.js), connected or detached awaiting resume
+const socketSessions = new Map()  // Map socket to the client session it currently carries
+const socketKeys = new Map()  // Map socket to the API key it was opened with
+const streamSessions = new Map()  // Map SSE response (GET /api/stream) to the client session it currently carries
+const streamKeys = new Map()  // Map SSE response to the API key it was opened with
+const clientFilters = new Map()  // Map client to its current normalized filter ({} = all games), once it asked for one
+const clientTopics = new Map()  // Map client to its Set of subscribed topics (see topics.js)
+const topicSubscribers = new Map()  // Map topic to the Set of clients subscribed to it
+const clientViews = new Map()  // Map client to the games it currently holds, keyed by gameKey()
+const lastBroadcastGames = new Map()  // Games as of the last broadcast, keyed by gameKey(), to find what changed
+const leagueStaleSince = new Map()  // Last stale_since broadcast per league (null when fresh)
+const pendingPongs = new Set()  // Sockets pinged by the heartbeat that have not answered yet
+
+// How often sockets are pinged; a socket that has not answered the previous ping is terminated
+const HEARTBEAT_INTERVAL_MS = Number(process.env.WS_HEARTBEAT_MS) || 30000
+
+// /readyz fails once no league has been ingested successfully for this long (ingest runs hourly)
+const READY_MAX_INGEST_AGE_MS = Number(process.env.READY_MAX_INGEST_AGE_MS) || 2 * 60 * 60_000
+
+// How long /api/status waits for the worker to report its polling jobs
+const STATUS_COMMAND_TIMEOUT_MS = 2000
+
+// Browser origins allowed to call the REST API (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',').map(origin => origin.trim())
+
+/**
+ * Wrap a payload in the protocol envelope (see protocol.js), as it will go on the wire
+ * minus the seq, which deliver() assigns per session.
+ * Returns null, after logging, if the result does not match the published schema.
+ */
+function envelope(type, payload = {}, id) {
+    const message = JSON.parse(JSON.stringify({
+        v: PROTOCOL_VERSION,
+        ...(id !== undefined && { id }),
+        type,
+        ...payload,
+        timestamp: Date.now()
+    }))
+
+    const problems = validateServerMessage({ ...message, seq: 0 })
+    if (problems.length > 0) {
+        console.error(`Dropping ${type} message that does not match the protocol schema:`, problems)
+        return null
+    }
+    return message
+}
+
+/**
+ * Number a message on the client's session and send it if the client is connected.
+ * Pushes are also kept in the session's replay buffer for `resume`.
+ */
+function deliver(client, message, { replayable = false } = {}) {
+    const seq = nextSeq(client)
+    const text = JSON.stringify({ v: message.v, seq, ...message })
+    if (replayable) recordPush(client, seq, text)
+    sendText(client, seq, text, message.type)
+}
+
+/**
+ * Put an already serialized message on whichever connection carries the session
+ */
+function sendText(client, seq, text, type) {
+    let transport
+    if (client.ws?.readyState === WebSocket.OPEN) {
+        client.ws.send(text)
+        transport = 'websocket'
+    } else if (client.stream) {
+        writeEvent(client.stream, client.id, seq, text)
+        transport = 'sse'
+    } else {
+        return
+    }
+    messagesSent.inc({ type, transport })
+    bytesSent.inc({ type, transport }, Buffer.byteLength(text))
+    if (unsentBytes(client) > MAX_BUFFERED_BYTES) disconnectSlowConsumer(client)
+}
+
+/**
+ * Send again the buffered pushes a resuming session missed (see sessions.missedSince)
+ */
+function replayMissed(session, missed) {
+    for (const text of missed) {
+        const { seq, type } = JSON.parse(text)
+        sendText(session, seq, text, type)
+    }
+}
+
+/**
+ * Bytes written to the client's connection that have not gone out yet
+ */
+function unsentBytes(client) {
+    return client.ws?.bufferedAmount ?? client.stream?.writableLength ?? 0
+}
+
+/**
+ * Close a connection that is not reading fast enough to keep up. 1013 tells a
+ * WebSocket client to try again later; an EventSource reconnects by itself.
+ * Either can resume its session once reconnected.
+ */
+function disconnectSlowConsumer(client) {
+    console.log(`Closing slow consumer with ${unsentBytes(client)} bytes unsent`)
+    if (client.stream) {
+        client.stream.destroy()
+        return
+    }
+    const ws = client.ws
+    ws.close(1013, 'Slow consumer: send buffer full')
+    setTimeout(() => ws.terminate(), 5000).unref()  // the close frame may never get through
+}
+
+/**
+ * Whether pushes to a client should be coalesced instead of sent: it has unsent
+ * data above SLOW_CONSUMER_BYTES, a backlog not flushed yet, or a snapshot being read
+ */
+function isBackedUp(client) {
+    return Boolean(client.backlog) || client.snapshotting > 0 || unsentBytes(client) > SLOW_CONSUMER_BYTES
+}
+
+/**
+ * A slow consumer's coalesced pushes: games to diff again at flush time, and the
+ * latest lifecycle event per game and status per league. Flushed once the socket
+ * drains and no snapshot is being read for the client.
+ */
+function backlogOf(client) {
+    if (!client.backlog) {
+        if (!client.snapshotting) console.log(`Session ${client.id} is a slow consumer; coalescing its updates`)
+        client.backlog = { games: new Set(), events: new Map(), leagues: new Map() }
+        client.backlogTimer = setInterval(() => flushBacklog(client), BACKLOG_FLUSH_MS)
+    }
+    return client.backlog
+}
+
+function flushBacklog(client) {
+    if (client.snapshotting || unsentBytes(client) > SLOW_CONSUMER_BYTES) return
+
+    const { games, events, leagues } = client.backlog
+    clearInterval(client.backlogTimer)
+    client.backlog = null
+    client.backlogTimer = null
+
+    // Only the latest state of each game, as of now
+    for (const key of games) pushGameDelta(client, key, lastBroadcastGames.get(key))
+    for (const message of events.values()) push(client, message)
+    for (const message of leagues.values()) push(client, message)
+}
+
+/**
+ * Push a server-initiated message (broadcast, lifecycle event, league status) to a client
+ */
+function push(client, message) {
+    deliver(client, message, { replayable: true })
+}
 
 /**
- * Filter games based on selected filters
- * NOW MATCHES YOUR ACTUAL DATABASE STRUCTURE
+ * Send one message to a client; `id` is the id of the client message being answered
  */
-async function getFilteredGames(filters) {
+function send(client, type, payload, id) {
+    const message = envelope(type, payload, id)
+    if (message) {
+        deliver(client, message)
+    } else if (type !== 'error') {
+        send(client, 'error', { code: 'internal', message: `Server produced an invalid ${type} message` }, id)
+    }
+}
+
+/**
+ * Report a failed client message with a machine-readable code
+ */
+function sendError(client, err, data = {}) {
+    const requestType = typeof data.type === 'string' ? { request_type: data.type } : {}
+
+    if (err instanceof ProtocolError) {
+        send(client, 'error', { code: err.code, message: err.message, details: err.details, ...err.fields, ...requestType }, data.id)
+    } else if (err instanceof FilterValidationError) {
+        send(client, 'error', { code: 'validation_failed', message: err.message, details: err.details, ...requestType }, data.id)
+    } else {
+        console.error(`Error handling ${data.type} message:`, err)
+        send(client, 'error', { code: 'internal', message: 'Internal server error', ...requestType }, data.id)
+    }
+}
+
+/**
+ * Stable identity for a game row across ingests
+ */
+function gameKey(game) {
+    return `${game.league}:${game.external_game_id}`
+}
+
+/**
+ * Whether a client wants updates about a game (a games row or lifecycle event):
+ * it matches the client's filter or one of its topics. A client with neither
+ * a filter nor topics gets everything.
+ */
+function isInterested(client, game) {
+    const filter = clientFilters.get(client)
+    const topics = clientTopics.get(client)
+    if (!filter && !topics) return true
+    if (filter && matchesFilter(game, filter)) return true
+    return Boolean(topics) && topicsForGame(game).some(topic => topics.has(topic))
+}
+
+/**
+ * Like isInterested, for league-wide news such as a league going stale
+ */
+function isInterestedInLeague(client, league) {
+    const filter = clientFilters.get(client)
+    const topics = clientTopics.get(client)
+    if (!filter && !topics) return true
+    if (filter && (!filter.leagues || filter.leagues.includes(league))) return true
+    return Boolean(topics) && [...topics].some(topic => topic === `league:${league}` || topic.startsWith(`team:${league}:`))
+}
+
+/**
+ * Add or remove topic subscriptions for a client, keeping topicSubscribers in sync
+ */
+function subscribeClient(client, topics) {
+    const subscribed = clientTopics.get(client) || new Set()
+    for (const topic of topics) {
+        subscribed.add(topic)
+        if (!topicSubscribers.has(topic)) topicSubscribers.set(topic, new Set())
+        topicSubscribers.get(topic).add(client)
+    }
+    clientTopics.set(client, subscribed)
+}
+
+function unsubscribeClient(client, topics) {
+    const subscribed = clientTopics.get(client)
+    if (!subscribed) return
+
+    for (const topic of topics) {
+        subscribed.delete(topic)
+        topicSubscribers.get(topic)?.delete(client)
+        if (topicSubscribers.get(topic)?.size === 0) topicSubscribers.delete(topic)
+    }
+    if (subscribed.size === 0) clientTopics.delete(client)
+}
+
+/**
+ * Forget everything tracked for a client whose session ended
+ */
+function removeClient(client) {
+    clients.delete(client)
+    clientSessions.set(clients.size)
+    clientFilters.delete(client)
+    unsubscribeClient(client, [...(clientTopics.get(client) || [])])
+    clientViews.delete(client)
+    clearInterval(client.backlogTimer)
+    deleteSession(client)
+}
+
+/**
+ * Drop the connection still attached to a session that is being resumed
+ * elsewhere; it is a stale duplicate
+ */
+function dropConnection(session) {
+    if (session.ws) {
+        socketSessions.delete(session.ws)
+        session.ws.terminate()
+    }
+    if (session.stream) {
+        streamSessions.delete(session.stream)
+        session.stream.end()
+    }
+}
+
+/**
+ * Move a reconnected socket from its fresh session onto the session it resumes
+ */
+function takeOverSession(fresh, session) {
+    const ws = fresh.ws
+    dropConnection(session)
+
+    attachSession(session, ws)
+    socketSessions.set(ws, session)
+    fresh.ws = null
+    removeClient(fresh)
+}
+
+/**
+ * Returns only the columns whose values differ between two rows of the same game
+ */
+function changedFields(previous, next) {
+    const changes = {}
+    for (const field of Object.keys(next)) {
+        if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+            changes[field] = next[field]
+        }
+    }
+    return changes
+}
+
+/**
+ * Leagues whose last ingest failed, mapped to when their data went stale
+ */
+async function getStaleLeagues() {
     try {
-        if (!filters || filters.length === 0) {
-            // No filters = return all games
-            return await getAllGames()
+        const statuses = await getLeagueStatuses()
+        return Object.fromEntries(
+            statuses.filter(status => status.stale_since).map(status => [status.league, status.stale_since])
+        )
+    } catch (err) {
+        console.error('Error fetching league status:', err)
+        return {}
+    }
+}
+
+/**
+ * Read and send a snapshot with the client's pushes held back: a broadcast that runs
+ * while the rows are read goes to the client's backlog instead of being diffed against
+ * the view the snapshot replaces. The backlog is then diffed against the new view.
+ * `snapshotting` counts the snapshots in flight; a forced resend can overlap a request.
+ */
+async function holdingPushes(client, sendSnapshotOf) {
+    client.snapshotting = (client.snapshotting || 0) + 1
+    try {
+        await sendSnapshotOf()
+    } finally {
+        client.snapshotting -= 1
+        if (!client.snapshotting && client.backlog) flushBacklog(client)
+    }
+}
+
+/**
+ * Send a full snapshot of the client's filtered games and remember
+ * what it now holds so later broadcasts can be sent as deltas.
+ * `echo` is what the client sent as its filters (defaults to the normalized filter).
+ */
+async function sendSnapshot(client, filter, buildMessage, echo = filter, id) {
+    await holdingPushes(client, async () => {
+        const games = await queryGames(filter)
+        const staleSince = await getStaleLeagues()
+        // An unrequested snapshot (a forced resend) is dropped if a filter_request replaced the filter meanwhile
+        if (id === undefined && clientFilters.has(client) && clientFilters.get(client) !== filter) return
+
+        // The client keeps the games it holds through topic subscriptions
+        const view = new Map(games.map(game => [gameKey(game), game]))
+        for (const [key, game] of clientViews.get(client) || []) {
+            if (!view.has(key) && isInterested(client, game)) view.set(key, game)
+        }
+        clientViews.set(client, view)
+
+        send(client, 'filtered_data', {
+            data: games,
+            filters: echo,
+            count: games.length,
+            stale_since: staleSince,
+            message: buildMessage(games.length)
+        }, id)
+    })
+}
+
+/**
+ * Send the games covered by some of the client's topics as a 'subscribed'
+ * message and add them to what the client holds.
+ */
+async function sendTopicSnapshot(client, topics, id) {
+    await holdingPushes(client, async () => {
+        const games = (await getAllGames())
+            .filter(game => topicsForGame(game).some(topic => topics.includes(topic)))
+        const view = clientViews.get(client)
+        for (const game of games) view.set(gameKey(game), game)
+
+        send(client, 'subscribed', {
+            topics: [...clientTopics.get(client) || []],
+            added: topics,
+            data: games,
+            count: games.length
+        }, id)
+    })
+}
+
+/**
+ * Resend the full view for the client's current filters and topics
+ * (a snapshot_request, or every client on a forced broadcast)
+ */
+async function resendSnapshot(client, id) {
+    if (clientFilters.has(client) || !clientTopics.has(client)) {
+        await sendSnapshot(client, clientFilters.get(client) || {}, count => `Snapshot: ${count} games match your current filters`, undefined, id)
+    }
+    if (clientTopics.has(client)) {
+        await sendTopicSnapshot(client, [...clientTopics.get(client)], id)
+    }
+}
+
+/**
+ * Handle one validated client message. Replies carry the message's id;
+ * failures are thrown (ProtocolError, FilterValidationError or anything else
+ * as an internal error) and reported by the caller.
+ */
+async function handleClientMessage(client, data) {
+    const { id } = data
+
+    switch (data.type) {
+        case 'connection':
+            console.log('Client connected at:', new Date(data.timestamp))
+            // Send initial data (all games)
+            clientFilters.set(client, {})
+            await sendSnapshot(client, {}, count => `Loaded ${count} total games`, [], id)
+            break
+
+        case 'filter_request': {
+            console.log('Filter request:', data.filters)
+            // Accepts the legacy string array or a structured filter object
+            const filter = normalizeFilter(data.filters)
+
+            // Store client's current filters
+            clientFilters.set(client, filter)
+
+            // Get filtered results
+            await sendSnapshot(client, filter, count => `Found ${count} games matching your filters`, data.filters ?? [], id)
+            break
+        }
+
+        case 'snapshot_request':
+            console.log('Snapshot request received')
+            await resendSnapshot(client, id)
+            break
+
+        case 'subscribe': {
+            const { topics, invalid } = parseTopics(data.topics)
+            if (invalid.length > 0) {
+                throw new ProtocolError('validation_failed', `Invalid topic(s): ${invalid.join(', ')}`, invalid)
+            }
+
+            const subscribed = clientTopics.get(client) || new Set()
+            const added = topics.filter(topic => !subscribed.has(topic))
+            if (added.length + subscribed.size > MAX_TOPICS_PER_CLIENT) {
+                throw new ProtocolError('limit_exceeded', `At most ${MAX_TOPICS_PER_CLIENT} topics per connection`)
+            }
+
+            subscribeClient(client, added)
+            await sendTopicSnapshot(client, added, id)
+            break
         }
 
-        // Extract league filters - your filters will be like ["NFL", "MLB"] directly
-        const leagueFilters = filters.filter(f => ['NFL', 'NBA', 'MLB', 'NHL', 'MLS', 'NCAAF', 'NCAAB'].includes(f))
+        case 'unsubscribe': {
+            const { topics, invalid } = parseTopics(data.topics)
+            if (invalid.length > 0) {
+                throw new ProtocolError('validation_failed', `Invalid topic(s): ${invalid.join(', ')}`, invalid)
+            }
 
-        // Extract state filters
-        const stateFilters = filters.filter(f => f.startsWith('state_')).map(f => f.replace('state_', ''))
+            unsubscribeClient(client, topics)
 
-        // If we have league filters, get games for those leagues
-        if (leagueFilters.length > 0) {
-            let allFilteredGames = []
-            for (const league of leagueFilters) {
-                const leagueGames = await getGamesByLeague(league)
-                allFilteredGames = allFilteredGames.concat(leagueGames)
+            // Take the games the client no longer follows out of its view with game_removed
+            for (const [key, game] of [...clientViews.get(client)]) {
+                if (!isInterested(client, game)) pushGameDelta(client, key, game)
             }
 
-            // If we also have state filters, filter further
-            if (stateFilters.length > 0) {
-                allFilteredGames = allFilteredGames.filter(game =>
-                    stateFilters.includes(game.state)
-                )
+            send(client, 'unsubscribed', {
+                topics: [...clientTopics.get(client) || []],
+                removed: topics
+            }, id)
+            break
+        }
+
+        case 'leagues_request':
+            send(client, 'leagues', { data: leagues.map(toPublicLeague) }, id)
+            break
+
+        case 'timeline_request': {
+            console.log('Timeline request:', data.league, data.external_game_id)
+            const timeline = await getGameTimeline(data.league, String(data.external_game_id))
+            send(client, 'timeline', {
+                league: data.league,
+                external_game_id: String(data.external_game_id),
+                data: timeline,
+                count: timeline.length
+            }, id)
+            break
+        }
+
+        case 'resume': {
+            // Continue an earlier session: replay the pushes sent after last_seq,
+            // or tell the client to start over with a fresh snapshot
+            // Only the API key that opened a session may resume it
+            const found = getSession(data.session_id)
+            const session = found?.apiKeyId === client.apiKeyId ? found : null
+            const missed = session && missedSince(session, data.last_seq)
+            if (!missed) {
+                // The client starts over on its new session; a gapped one is of no further use
+                if (session && !session.ws && !session.stream) removeClient(session)
+                send(client, 'snapshot_required', {
+                    session_id: client.id,
+                    reason: session ? 'Missed messages are no longer buffered' : 'Unknown or expired session'
+                }, id)
+                break
             }
 
-            return allFilteredGames
+            if (session !== client) takeOverSession(client, session)
+            replayMissed(session, missed)
+            send(session, 'resumed', { session_id: session.id, last_seq: data.last_seq, replayed: missed.length }, id)
+            console.log(`Session ${session.id} resumed, replayed ${missed.length} message(s)`)
+            break
         }
 
-        // If only state filters (no league filters), get all games then filter by state
-        if (stateFilters.length > 0) {
-            const allGames = await getAllGames()
-            return allGames.filter(game => stateFilters.includes(game.state))
+        case 'ping':
+            // Application-level ping: the client measures round-trip latency from client_time
+            send(client, 'pong', { client_time: data.client_time, server_time: Date.now() }, id)
+            break
+
+        case 'admin_command': {
+            // Anonymous sockets (API_AUTH=off) carry a key with every scope
+            if (!hasScope(socketKeys.get(client.ws), 'admin')) {
+                throw new ProtocolError('forbidden', 'admin_command needs an API key with the admin scope')
+            }
+            console.log('Admin command:', data.command)
+            let result
+            try {
+                result = await sendCommand(data.command, { leagues: data.leagues, league: data.league })
+            } catch (err) {
+                if (!(err instanceof CommandError)) throw err
+                throw new ProtocolError(err.status === 400 ? 'validation_failed' : 'command_failed', err.message)
+            }
+            send(client, 'admin_result', { command: data.command, result }, id)
+            break
         }
 
-        // For any other unrecognized filters, return all games
-        return await getAllGames()
+        case 'user_message':
+            console.log('User message:', data.message)
+            send(client, 'echo', {
+                original_message: data.message,
+                message: `Server received: "${data.message}"`
+            }, id)
+            break
+
+        case 'test_request':
+            console.log('Test request received')
+            send(client, 'new_data', {
+                data: {
+                    random_number: Math.floor(Math.random() * 1000),
+                    server_time: new Date().toISOString(),
+                    message: 'This is test data from the games API server'
+                }
+            }, id)
+            break
+
+        default:
+            // validateClientMessage only lets protocol types through
+            throw new ProtocolError('unknown_type', `Unknown message type: ${data.type}`)
+    }
+}
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}`)
+}
+
+/**
+ * Close sockets and SSE streams whose API key has been revoked since they connected
+ */
+async function closeRevokedSockets() {
+    if (!authEnabled || (socketKeys.size === 0 && streamKeys.size === 0)) return
+
+    try {
+        const revoked = new Set((await listApiKeys()).filter(key => key.revoked_at).map(key => key.id))
+        for (const [ws, apiKey] of socketKeys) {
+            if (revoked.has(apiKey.id)) ws.close(1008, 'API key revoked')
+        }
+        for (const [res, apiKey] of streamKeys) {
+            if (revoked.has(apiKey.id)) res.end()  // the EventSource's reconnect then gets a 401
+        }
+    } catch (err) {
+        console.error('Error checking for revoked API keys:', err)
+    }
+}
+
+/**
+ * Weak comparison of an If-None-Match header with an ETag. Unlike req.fresh this
+ * also answers requests sent with Cache-Control: no-cache, which fetch() adds to
+ * every conditional request.
+ */
+function matchesETag(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false
+    const opaque = (tag) => tag.trim().replace(/^W\//, '')
+    return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag))
+}
 
+/**
+ * GET /api/games[/:league], filtered, sorted and paged by the query string (see gamesQuery.js).
+ * The ETag is built from the games' count and highest version, so an unchanged table
+ * answers If-None-Match with a 304 without reading any rows. X-Games-Version is the
+ * version to pass back as ?since=, which returns only the games changed after it
+ * (games removed since are not reported). With ?limit=, a full page carries the
+ * next page's cursor in X-Next-Cursor and a Link rel="next" header.
+ */
+async function sendGames(req, res, leagueName = null) {
+    let request
+    try {
+        request = parseGamesQuery(req.query, leagueName)
     } catch (err) {
-        console.error('Error filtering games:', err)
-        return []
+        if (!(err instanceof FilterValidationError)) throw err
+        res.status(400).json({ error: err.message, details: err.details })
+        return
+    }
+    const { filter, limit, fields } = request
+
+    // Read before the rows: if they move on meanwhile, the next ?since= read repeats a game rather than missing it
+    const { count, version } = await getGamesVersion(leagueName)
+    const etag = `W/"${count}-${version}"`
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache', 'X-Games-Version': String(version) })
+    if (matchesETag(req.get('If-None-Match'), etag)) {
+        res.status(304).end()
+        return
+    }
+
+    // One row past the page tells whether there is a next page
+    const games = await queryGames(limit === null ? filter : { ...filter, limit: limit + 1 })
+    const page = limit === null ? games : games.slice(0, limit)
+    if (games.length > page.length) {
+        const cursor = encodeCursor(page[page.length - 1], filter)
+        const { token, ...query } = req.query  // keep API keys out of response headers
+        res.set('X-Next-Cursor', cursor)
+        res.links({ next: `${req.baseUrl}${req.path}?${new URLSearchParams({ ...query, cursor })}` })
+    }
+    res.json(fields ? page.map(game => selectFields(game, fields)) : page)
+}
+
+/**
+ * GET /api/games/:league/:externalGameId, with ?fields= and an ETag from the game's version
+ */
+async function sendGame(req, res) {
+    let fields
+    try {
+        fields = parseGameQuery(req.query)
+    } catch (err) {
+        if (!(err instanceof FilterValidationError)) throw err
+        res.status(400).json({ error: err.message, details: err.details })
+        return
+    }
+
+    const { league, externalGameId } = req.params
+    const game = await getGame(league, externalGameId)
+    if (!game) {
+        res.status(404).json({ error: `No game ${externalGameId} in league ${league}` })
+        return
+    }
+
+    const etag = `W/"${game.version}"`
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache' })
+    if (matchesETag(req.get('If-None-Match'), etag)) {
+        res.status(304).end()
+        return
+    }
+    res.json(fields ? selectFields(game, fields) : game)
+}
+
+/**
+ * Whether this instance should get traffic: storage answers and some league was
+ * ingested successfully within READY_MAX_INGEST_AGE_MS (a stale league alone does
+ * not count, its last good data is still served)
+ */
+async function checkReadiness() {
+    const problems = []
+    let lastIngestAt = null
+    try {
+        const successes = (await getLeagueStatuses())
+            .filter(status => status.last_success_at)
+            .map(status => new Date(status.last_success_at))
+        lastIngestAt = successes.length > 0 ? new Date(Math.max(...successes)) : null
+
+        if (!lastIngestAt) problems.push('No league has been ingested yet')
+        else if (Date.now() - lastIngestAt > READY_MAX_INGEST_AGE_MS) problems.push(`Last successful ingest was at ${lastIngestAt.toISOString()}`)
+    } catch (err) {
+        problems.push(`Storage is unreachable: ${err.message}`)
+    }
+
+    return { ready: problems.length === 0, last_ingest_at: lastIngestAt, problems }
+}
+
+/**
+ * Every client session with its connection, filter and topics
+ */
+function describeClients() {
+    return [...clients].map(client => ({
+        session_id: client.id,
+        transport: client.ws ? 'websocket' : client.stream ? 'sse' : 'detached',
+        api_key_id: client.apiKeyId,
+        filter: clientFilters.get(client) ?? null,
+        topics: [...(clientTopics.get(client) || [])],
+        backed_up: Boolean(client.backlog)
+    }))
+}
+
+/**
+ * GET /api/status: clients, per-league ingest outcome, games per state and the
+ * poll jobs scheduled in this process (none on an api-only instance, see server.js)
+ */
+async function getStatus() {
+    const [statuses, counts] = await Promise.all([getLeagueStatuses(), getGameCounts()])
+
+    const games = { total: 0, by_state: {}, by_league: {} }
+    for (const { league, state, count } of counts) {
+        const stateName = state ?? 'unknown'
+        games.total += count
+        games.by_state[stateName] = (games.by_state[stateName] || 0) + count
+        games.by_league[league] = { ...games.by_league[league], [stateName]: count }
+    }
+
+    return {
+        uptime_seconds: Math.round(process.uptime()),
+        connections: getConnectionStats(),
+        clients: describeClients(),
+        leagues: statuses.map(({ league, last_success_at, last_failure_at, last_error, stale_since }) => (
+            { league, last_success_at, last_failure_at, last_error, stale_since }
+        )),
+        games,
+        ...await getSchedulerStatus()
+    }
+}
+
+/**
+ * Polling state as the worker reports it (an api-only instance runs no jobs of its own);
+ * null fields and scheduler_error when it does not answer
+ */
+async function getSchedulerStatus() {
+    try {
+        return await sendCommand('status', {}, { timeoutMs: STATUS_COMMAND_TIMEOUT_MS })
+    } catch (err) {
+        if (!(err instanceof CommandError)) throw err
+        return { polling_paused: null, scheduled_jobs: null, scheduler_error: err.message }
+    }
+}
+
+/**
+ * Answer an /api/admin request with the result of its command (see control.js)
+ */
+async function sendCommandResult(res, command, args = {}) {
+    try {
+        res.json({ command, result: await sendCommand(command, args) })
+    } catch (err) {
+        if (err instanceof CommandError) {
+            res.status(err.status).json({ error: err.message })
+            return
+        }
+        console.error(`Error running ${command} command:`, err)
+        res.status(500).json({ error: 'Internal Server Error' })
+    }
+}
+
+/**
+ * GET /api/stream: a client session over Server-Sent Events (see sse.js). The filter
+ * and topics come from the query string; a Last-Event-ID from an earlier stream or
+ * socket resumes its session instead, replaying what was missed, like `resume` on /ws.
+ */
+async function openEventStream(req, res) {
+    let subscription
+    try {
+        subscription = subscriptionFromQuery(req.query)
+    } catch (err) {
+        if (!(err instanceof FilterValidationError)) throw err
+        res.status(400).json({ error: err.message, details: err.details })
+        return
+    }
+    if (!hasConnectionSlot(req.apiKey)) {
+        res.status(429).json({ error: `API key allows at most ${req.apiKey.max_connections} connections` })
+        return
+    }
+
+    acquireConnection(req.apiKey)
+    streamKeys.set(res, req.apiKey)
+    openStream(res)
+    const keepalive = setInterval(() => writeKeepalive(res), SSE_KEEPALIVE_MS)
+
+    // Only the API key that opened a session may resume it
+    const lastEvent = parseEventId(req.get('Last-Event-ID') || req.query.last_event_id)
+    const found = lastEvent && getSession(lastEvent.sessionId)
+    const resumable = found?.apiKeyId === req.apiKey.id ? found : null
+    const missed = resumable && missedSince(resumable, lastEvent.lastSeq)
+    if (resumable && !missed && !resumable.ws && !resumable.stream) removeClient(resumable)
+
+    let session
+    if (missed) {
+        session = resumable
+        dropConnection(session)
+        attachSession(session, null, res)
+    } else {
+        session = createSession(null, res)
+        session.apiKeyId = req.apiKey.id
+        clients.add(session)
+        clientSessions.set(clients.size)
+        clientViews.set(session, new Map())
+    }
+    streamSessions.set(res, session)
+    connectedClients.inc({ transport: 'sse' })
+    console.log('SSE client connected. Total streams:', streamSessions.size)
+
+    // Keep the session around for a while so the client can resume it
+    res.on('close', () => {
+        clearInterval(keepalive)
+        releaseConnection(req.apiKey)
+        streamKeys.delete(res)
+        connectedClients.dec({ transport: 'sse' })
+        const closed = streamSessions.get(res)
+        streamSessions.delete(res)
+        if (closed) detachSession(closed, removeClient)
+        console.log('SSE client disconnected. Total streams:', streamSessions.size)
+    })
+
+    if (missed) {
+        replayMissed(session, missed)
+        send(session, 'resumed', { session_id: session.id, last_seq: lastEvent.lastSeq, replayed: missed.length })
+        console.log(`Session ${session.id} resumed over SSE, replayed ${missed.length} message(s)`)
+        return
+    }
+
+    send(session, 'welcome', {
+        session_id: session.id,
+        message: `Connected to games API event stream (protocol v${PROTOCOL_VERSION})`
+    })
+    send(session, 'leagues', { data: leagues.map(toPublicLeague) })
+
+    // Without a filter or topics the stream follows every game, like a socket after `connection`
+    const { filter, topics } = subscription
+    try {
+        if (filter || topics.length === 0) {
+            const streamFilter = filter || {}
+            clientFilters.set(session, streamFilter)
+            await sendSnapshot(session, streamFilter, count => `Found ${count} games matching your filters`)
+        }
+        if (topics.length > 0) {
+            subscribeClient(session, topics)
+            await sendTopicSnapshot(session, topics)
+        }
+    } catch (err) {
+        sendError(session, err)
     }
 }
 
 /**
  * startApiServer(port):
- *   1) Creates Express app with API routes (optional - keep if you need REST endpoints)
- *   2) Creates WebSocket server for real-time filtering
- *   3) Listens on the specified port
+ *   1) Listens for change notifications from ingest (see notifier.js)
+ *   2) Creates Express app with API routes (optional - keep if you need REST endpoints)
+ *   3) Creates WebSocket server for real-time filtering
+ *   4) Listens on the specified port (0 picks a free one) and resolves to the HTTP server
  */
-function startApiServer(port = 4000) {
+async function startApiServer(port = 4000) {
+    onNotification(handleNotification)
+    await startListening()
+
     const app = express()
-    app.use(cors())
+    app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['ETag', 'X-Games-Version', 'X-Next-Cursor', 'Link'] }))
     app.use(express.json())
 
+    // JSON Schema of the WebSocket protocol (see protocol.js); public documentation
+    app.get('/api/protocol', (req, res) => {
+        res.json(protocolSchema)
+    })
+
+    // Probes for load balancers and orchestrators: the process is up / it should get traffic
+    app.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' })
+    })
+
+    app.get('/readyz', async (req, res) => {
+        const readiness = await checkReadiness()
+        res.status(readiness.ready ? 200 : 503).json(readiness)
+    })
+
+    // Prometheus scrape endpoint (see metrics.js); public like the probes, so keep it off the open internet
+    app.get('/metrics', metricsHandler)
+
+    // Everything else needs an API key with the read scope
+    app.use('/api', requireScope('read'))
+
+    // Operational overview; it lists every client's filters, so it needs the admin scope
+    app.get('/api/status', requireScope('admin'), async (req, res) => {
+        try {
+            res.json(await getStatus())
+        } catch (err) {
+            console.error('Error building status:', err)
+            res.status(500).json({ error: 'Internal Server Error' })
+        }
+    })
+
+    // Control of ingest and the polling jobs, run by the worker (see control.js); admin scope only
+    app.post('/api/admin/ingest', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'ingest', { leagues: req.body?.leagues })
+    })
+
+    app.post('/api/admin/polls/:league', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'start_poll', { league: req.params.league })
+    })
+
+    app.delete('/api/admin/polls/:league', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'cancel_poll', { league: req.params.league })
+    })
+
+    app.post('/api/admin/polling/pause', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'pause_polling')
+    })
+
+    app.post('/api/admin/polling/resume', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'resume_polling')
+    })
+
+    app.post('/api/admin/daily-schedule', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'run_daily_schedule')
+    })
+
+    app.post('/api/admin/broadcast', requireScope('admin'), (req, res) => {
+        sendCommandResult(res, 'broadcast')
+    })
+
     // Optional: Keep REST API routes if you still need them
     app.get('/api/games', async (req, res) => {
         try {
-            const games = await getAllGames()
-            res.json(games)
+            await sendGames(req, res)
         } catch (err) {
             console.error('Error fetching all games:', err)
             res.status(500).json({ error: 'Internal Server Error' })
@@ -83,203 +944,402 @@ function startApiServer(port = 4000) {
 
     app.get('/api/games/:league', async (req, res) => {
         try {
-            const leagueName = req.params.league
-            const games = await getGamesByLeague(leagueName)
-            res.json(games)
+            await sendGames(req, res, req.params.league)
         } catch (err) {
             console.error('Error fetching league games:', err)
             res.status(500).json({ error: 'Internal Server Error' })
         }
     })
 
+    app.get('/api/games/:league/:externalGameId', async (req, res) => {
+        try {
+            await sendGame(req, res)
+        } catch (err) {
+            console.error('Error fetching game:', err)
+            res.status(500).json({ error: 'Internal Server Error' })
+        }
+    })
+
+    app.get('/api/leagues', (req, res) => {
+        res.json(leagues.map(toPublicLeague))
+    })
+
+    app.get('/api/leagues/status', async (req, res) => {
+        try {
+            const statuses = await getLeagueStatuses()
+            res.json(statuses)
+        } catch (err) {
+            console.error('Error fetching league status:', err)
+            res.status(500).json({ error: 'Internal Server Error' })
+        }
+    })
+
+    // Server-Sent Events: the WebSocket's messages for clients that cannot keep a WebSocket open
+    app.get('/api/stream', async (req, res) => {
+        try {
+            await openEventStream(req, res)
+        } catch (err) {
+            console.error('Error opening event stream:', err)
+            if (!res.headersSent) res.status(500).json({ error: 'Internal Server Error' })
+        }
+    })
+
+    app.get('/api/games/:league/:externalGameId/timeline', async (req, res) => {
+        try {
+            const { league, externalGameId } = req.params
+            const timeline = await getGameTimeline(league, externalGameId)
+            // A game that left the feed keeps its timeline
+            if (timeline.length === 0 && !(await getGame(league, externalGameId))) {
+                res.status(404).json({ error: `No game ${externalGameId} in league ${league}` })
+                return
+            }
+            res.json(timeline)
+        } catch (err) {
+            console.error('Error fetching game timeline:', err)
+            res.status(500).json({ error: 'Internal Server Error' })
+        }
+    })
+
     // Create HTTP server
     const httpServer = http.createServer(app)
 
     // Create WebSocket server
-    wss = new WebSocket.Server({
-        server: httpServer,  // Attach to HTTP server so both REST and WS work
-        path: '/ws'  // Optional: specific path for WebSocket connections
+    wss = new WebSocket.Server({ noServer: true })
+
+    // Authenticate the upgrade handshake before accepting a WebSocket on /ws
+    httpServer.on('upgrade', async (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+            rejectUpgrade(socket, 404, 'Not Found')
+            return
+        }
+
+        let apiKey
+        try {
+            apiKey = await authenticate(req, 'read')
+        } catch (err) {
+            if (!(err instanceof AuthError)) console.error('Error authenticating WebSocket upgrade:', err)
+            rejectUpgrade(socket, err.status || 500, err instanceof AuthError ? err.message : 'Internal Server Error')
+            return
+        }
+        if (!hasConnectionSlot(apiKey)) {
+            rejectUpgrade(socket, 429, `API key allows at most ${apiKey.max_connections} connections`)
+            return
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, apiKey))
     })
 
     console.log('WebSocket server created')
 
-    wss.on('connection', (ws) => {
-        clients.add(ws)
-        clientFilters.set(ws, [])  // Initialize with no filters
-        console.log('Client connected. Total clients:', clients.size)
+    // Heartbeat: terminate half-open sockets so they stop receiving broadcasts
+    const heartbeat = setInterval(async () => {
+        await closeRevokedSockets()
+
+        for (const ws of wss.clients) {
+            if (pendingPongs.has(ws)) {
+                console.log('Terminating client that missed a heartbeat')
+                ws.terminate()
+                continue
+            }
+            pendingPongs.add(ws)
+            ws.ping()
+        }
+    }, HEARTBEAT_INTERVAL_MS)
+    wss.on('close', () => clearInterval(heartbeat))
+
+    wss.on('connection', (ws, req, apiKey) => {
+        acquireConnection(apiKey)
+        socketKeys.set(ws, apiKey)
+
+        const session = createSession(ws)
+        session.apiKeyId = apiKey.id
+        socketSessions.set(ws, session)
+        clients.add(session)
+        clientSessions.set(clients.size)
+        connectedClients.inc({ transport: 'websocket' })
+        clientViews.set(session, new Map())  // No filter or topics yet: the client hears about every game
+        ws.on('pong', () => pendingPongs.delete(ws))
+        console.log('Client connected. Total clients:', wss.clients.size)
 
         // Send welcome message
-        ws.send(JSON.stringify({
-            type: 'welcome',
-            message: 'Connected to games API WebSocket',
-            timestamp: Date.now()
-        }))
-
-        // Handle incoming messages
-        ws.on('message', async (message) => {
+        send(session, 'welcome', {
+            session_id: session.id,
+            message: `Connected to games API WebSocket (protocol v${PROTOCOL_VERSION})`
+        })
+
+        // Leagues the client can filter on
+        send(session, 'leagues', { data: leagues.map(toPublicLeague) })
+
+        // Handle incoming messages; every valid message is answered with an ack or an error.
+        // Messages are handled one at a time in arrival order, so replies come back in the
+        // order the client asked and each snapshot's view is recorded before the next request.
+        const limiter = createRateLimiter()  // per connection, so resuming does not reset it
+        let handling = Promise.resolve()
+        const enqueue = (task) => {
+            handling = handling.then(task).catch(err => console.error('Error handling WebSocket message:', err))
+        }
+
+        ws.on('message', (message) => {
+            let data
+            let invalidJson = false
             try {
-                const data = JSON.parse(message.toString())
-                console.log('Received message:', data)
+                data = JSON.parse(message.toString())
+            } catch (err) {
+                invalidJson = true
+            }
+            messagesReceived.inc({ type: Object.hasOwn(protocolSchema.clientMessages, data?.type) ? data.type : 'unknown' })
 
-                switch (data.type) {
-                    case 'connection':
-                        console.log('Client connected at:', new Date(data.timestamp))
-                        // Send initial data (all games)
-                        const initialGames = await getFilteredGames([])
-                        ws.send(JSON.stringify({
-                            type: 'filtered_data',
-                            data: initialGames,
-                            filters: [],
-                            count: initialGames.length,
-                            message: `Loaded ${initialGames.length} total games`,
-                            timestamp: Date.now()
-                        }))
-                        break
-
-                    case 'filter_request':
-                        console.log('Filter request:', data.filters)
-                        // Store client's current filters
-                        clientFilters.set(ws, data.filters)
-
-                        // Get filtered results
-                        const filteredGames = await getFilteredGames(data.filters)
-                        ws.send(JSON.stringify({
-                            type: 'filtered_data',
-                            data: filteredGames,
-                            filters: data.filters,
-                            count: filteredGames.length,
-                            message: `Found ${filteredGames.length} games matching your filters`,
-                            timestamp: Date.now()
-                        }))
-                        break
-
-                    case 'user_message':
-                        console.log('User message:', data.message)
-                        ws.send(JSON.stringify({
-                            type: 'echo',
-                            original_message: data.message,
-                            timestamp: Date.now(),
-                            message: `Server received: "${data.message}"`
-                        }))
-                        break
-
-                    case 'test_request':
-                        console.log('Test request received')
-                        ws.send(JSON.stringify({
-                            type: 'new_data',
-                            data: {
-                                random_number: Math.floor(Math.random() * 1000),
-                                server_time: new Date().toISOString(),
-                                message: 'This is test data from the games API server'
-                            },
-                            timestamp: Date.now()
-                        }))
-                        break
-
-                    default:
-                        console.log('Unknown message type:', data.type)
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Unknown message type',
-                            timestamp: Date.now()
-                        }))
-                }
-            } catch (error) {
-                console.error('Error parsing message:', error)
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'Invalid JSON format',
-                    timestamp: Date.now()
-                }))
+            // Spend the message's tokens on arrival, so a flood is refused rather than queued
+            const retryAfterMs = takeTokens(limiter, messageCost(data?.type))
+            if (retryAfterMs > 0) {
+                enqueue(() => refuseMessage(new ProtocolError('rate_limited', 'Too many messages', [], { retry_after_ms: retryAfterMs }), data ?? {}))
+            } else if (invalidJson) {
+                enqueue(() => refuseMessage(new ProtocolError('invalid_json', 'Invalid JSON format')))
+            } else {
+                enqueue(() => handleSocketMessage(data))
             }
         })
 
+        // Both answer on the session this socket carries when their turn comes;
+        // a socket that closed while the message waited carries none
+        function refuseMessage(err, data) {
+            const carried = socketSessions.get(ws)
+            if (carried) sendError(carried, err, data)
+        }
+
+        async function handleSocketMessage(data) {
+            const carried = socketSessions.get(ws)
+            if (!carried) return
+
+            // Looked up again after the await: a resume moves the socket onto another session,
+            // and a socket that closed meanwhile is gone (the reply then goes to the detached
+            // session, which only numbers it)
+            try {
+                console.log('Received message:', data)
+                validateClientMessage(data)
+                await handleClientMessage(carried, data)
+                send(socketSessions.get(ws) ?? carried, 'ack', { request_type: data.type }, data.id)
+            } catch (err) {
+                sendError(socketSessions.get(ws) ?? carried, err, data ?? {})
+            }
+        }
+
+        // Keep the session around for a while so the client can resume it
         ws.on('close', () => {
-            clients.delete(ws)
-            clientFilters.delete(ws)
-            console.log('Client disconnected. Total clients:', clients.size)
+            releaseConnection(apiKey)
+            socketKeys.delete(ws)
+            connectedClients.dec({ transport: 'websocket' })
+            pendingPongs.delete(ws)
+            const closed = socketSessions.get(ws)
+            socketSessions.delete(ws)
+            if (closed) detachSession(closed, removeClient)
+            console.log('Client disconnected. Total clients:', wss.clients.size)
         })
 
         ws.on('error', (error) => {
             console.error('WebSocket error:', error)
-            clients.delete(ws)
-            clientFilters.delete(ws)
         })
     })
 
+    // Closing the HTTP server also stops the heartbeat
+    httpServer.on('close', () => wss.close())
+
     // Start listening
     return new Promise((resolve, reject) => {
         httpServer.listen(port, () => {
             console.log(`\n🚀 Express + WebSocket running on http://localhost:${port}`)
             console.log(`🔌 WebSocket endpoint: ws://localhost:${port}/ws`)
-            resolve()
+            resolve(httpServer)
         }).on('error', (err) => {
             reject(err)
         })
     })
 }
 
+/**
+ * Push what changed about one game relative to what the client holds
+ * (game_added / game_changed / game_removed), and update its view.
+ * `game` is the current row, or undefined once the game is gone.
+ */
+function pushGameDelta(client, key, game) {
+    const view = clientViews.get(client)
+    if (!view) return
+
+    const held = view.get(key)
+    const wanted = Boolean(game) && isInterested(client, game)
+    let delta = null
+
+    if (wanted && !held) {
+        delta = { type: 'game_added', game }
+        view.set(key, game)
+    } else if (wanted) {
+        const changes = changedFields(held, game)
+        if (Object.keys(changes).length > 0) {
+            delta = {
+                type: 'game_changed',
+                game_id: game.id,
+                league: game.league,
+                external_game_id: game.external_game_id,
+                changes
+            }
+        }
+        view.set(key, game)
+    } else if (held) {
+        delta = {
+            type: 'game_removed',
+            game_id: held.id,
+            league: held.league,
+            external_game_id: held.external_game_id
+        }
+        view.delete(key)
+    }
+
+    if (!delta) return
+    const { type, ...payload } = delta
+    const message = envelope(type, payload)
+    if (message) push(client, message)
+}
+
 /**
  * broadcastUpdatedGames(optionalLeague):
- *   Send updates to all connected clients based on their current filters
- *   This replaces the old Socket.IO broadcast function
+ *   Find the games that changed since the last broadcast, then route each
+ *   change only to clients whose filter or topics match it, as
+ *   game_added / game_changed / game_removed messages.
+ *   Games are queried once per broadcast, not once per client.
  */
 async function broadcastUpdatedGames(optionalLeague) {
     if (!wss || clients.size === 0) return
 
     console.log(`Broadcasting game updates${optionalLeague ? ` for league: ${optionalLeague}` : ' for all leagues'}`)
 
-    // Notify all clients that data has been updated
-    const updateNotification = {
-        type: 'games_updated',
-        league: optionalLeague || 'ALL',
-        message: optionalLeague ?
-            `New data available for ${optionalLeague} league` :
-            'New game data available',
-        timestamp: Date.now()
+    let games
+    try {
+        games = optionalLeague ? await getGamesByLeague(optionalLeague) : await getAllGames()
+    } catch (err) {
+        console.error('Error fetching games for broadcast:', err)
+        return
     }
 
-    // Send notification to all clients
-    clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(updateNotification))
+    // 1. What changed since the last broadcast (a league-scoped broadcast says nothing about other leagues)
+    const current = new Map(games.map(game => [gameKey(game), game]))
+    const changed = new Map()  // key -> latest row, or the last known row if the game was removed
+    for (const [key, game] of current) {
+        const previous = lastBroadcastGames.get(key)
+        if (!previous || Object.keys(changedFields(previous, game)).length > 0) changed.set(key, game)
+        lastBroadcastGames.set(key, game)
+    }
+    // Removed games: known to the last broadcast, or held by a client since its snapshot
+    const known = [...lastBroadcastGames, ...[...clientViews.values()].flatMap(view => [...view])]
+    for (const [key, game] of known) {
+        if (optionalLeague && game.league !== optionalLeague) continue
+        if (!current.has(key)) {
+            changed.set(key, game)
+            lastBroadcastGames.delete(key)
         }
+    }
+    if (changed.size === 0) return
+
+    // 2. Recipients: clients with a filter (or nothing at all) may care about any game;
+    //    topic-only clients are found through the topics of the changed games
+    const recipients = new Set([...clients].filter(client => clientFilters.has(client) || !clientTopics.has(client)))
+    for (const game of changed.values()) {
+        for (const topic of topicsForGame(game)) {
+            for (const client of topicSubscribers.get(topic) || []) recipients.add(client)
+        }
+    }
+
+    // 3. Diff each changed game against what the recipient holds
+    //    (detached sessions too, so a resuming client can replay what it missed)
+    for (const client of recipients) {
+        if (!clientViews.has(client)) continue
+
+        if (isBackedUp(client)) {
+            for (const key of changed.keys()) backlogOf(client).games.add(key)
+            continue
+        }
+        for (const key of changed.keys()) pushGameDelta(client, key, current.get(key))
+    }
+}
+
+/**
+ * Forward typed lifecycle events from ingest (game_started, score_changed,
+ * period_changed, game_final) to clients subscribed to the game's league
+ */
+function forwardGameEvent(event) {
+    if (!wss || clients.size === 0) return
+
+    const { type, ...payload } = event
+    const message = envelope(type, payload)
+    if (!message) return
+
+    for (const client of clients) {
+        if (!isInterested(client, event)) continue
+        if (isBackedUp(client)) backlogOf(client).events.set(gameKey(event), message)
+        else push(client, message)
+    }
+}
+
+/**
+ * Tell subscribed clients when a league's data goes stale (ingest failed,
+ * last good data kept) or becomes fresh again
+ */
+function forwardLeagueStatus(status) {
+    const staleSince = status.stale_since ? new Date(status.stale_since).toISOString() : null
+    const previous = leagueStaleSince.has(status.league) ? leagueStaleSince.get(status.league) : null
+    leagueStaleSince.set(status.league, staleSince)
+    if (!wss || clients.size === 0 || previous === staleSince) return
+
+    const message = envelope('league_status', {
+        league: status.league,
+        stale_since: staleSince,
+        last_success_at: status.last_success_at,
+        last_error: status.last_error
     })
+    if (!message) return
 
-    // Optionally: refresh each client's current filtered view
-    // This sends updated filtered data based on each client's current filters
     for (const client of clients) {
-        if (client.readyState === WebSocket.OPEN) {
-            try {
-                const currentFilters = clientFilters.get(client) || []
-                const refreshedData = await getFilteredGames(currentFilters)
-
-                client.send(JSON.stringify({
-                    type: 'filtered_data',
-                    data: refreshedData,
-                    filters: currentFilters,
-                    count: refreshedData.length,
-                    message: `Updated: ${refreshedData.length} games match your current filters`,
-                    is_refresh: true,
-                    timestamp: Date.now()
-                }))
-            } catch (err) {
-                console.error('Error refreshing client data:', err)
-            }
-        }
+        if (!isInterestedInLeague(client, status.league)) continue
+        if (isBackedUp(client)) backlogOf(client).leagues.set(status.league, message)
+        else push(client, message)
     }
 }
 
 /**
- * Utility function to broadcast to all clients
+ * Resend every connected client its full snapshot (the admin `broadcast` command).
+ * Detached sessions are skipped; a client that resumes one can ask for a snapshot.
+ */
+async function resendAllSnapshots() {
+    const connected = [...clients].filter(client => client.ws || client.stream)
+    console.log(`Resending snapshots to ${connected.length} client(s)`)
+
+    await Promise.all(connected.map(client => resendSnapshot(client).catch(err => sendError(client, err))))
+}
+
+/**
+ * Act on a change announced by ingest (see notifier.js), whichever process ran it
+ */
+function handleNotification(notification) {
+    switch (notification.type) {
+        case 'league_updated': return broadcastUpdatedGames(notification.league)
+        case 'game_event': return forwardGameEvent(notification.event)
+        case 'league_status': return forwardLeagueStatus(notification.status)
+        case 'broadcast': return resendAllSnapshots()
+        case 'admin_command':
+        case 'admin_result': return  // for control.js
+        default: console.warn('Ignoring unknown notification:', notification.type)
+    }
+}
+
+/**
+ * Utility function to broadcast to all clients; `data` is a server message
+ * ({ type, ...fields }) from the protocol schema
  */
 function broadcast(data) {
-    const message = JSON.stringify(data)
-    clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message)
-        }
-    })
+    const { type, ...payload } = data
+    const message = envelope(type, payload)
+    if (!message) return
+
+    clients.forEach(client => push(client, message))
 }
 
 /**
@@ -287,9 +1347,13 @@ function broadcast(data) {
  */
 function getConnectionStats() {
     return {
-        total_clients: clients.size,
-        clients_with_filters: Array.from(clientFilters.entries())
-            .filter(([client, filters]) => filters.length > 0).length
+        total_clients: socketSessions.size + streamSessions.size,
+        sse_clients: streamSessions.size,
+        detached_sessions: clients.size - socketSessions.size - streamSessions.size,
+        clients_with_filters: Array.from(clientFilters.values())
+            .filter(filter => Object.keys(filter).length > 0).length,
+        clients_with_topics: clientTopics.size,
+        topics: topicSubscribers.size
     }
 }
 
@@ -0,0 +1,79 @@
+// apiKeys.js manages the API keys clients use for the REST API and the WebSocket.
+//
+// Usage: node apiKeys.js create <name> [--scopes read,admin] [--max-connections 5]
+//        node apiKeys.js revoke <id>
+//        node apiKeys.js list
+require('dotenv').config()
+const { backendName, initStorage, createApiKey, revokeApiKey, listApiKeys } = require('./dbQueries')
+const { SCOPES, generateApiKey } = require('./auth')
+
+/**
+ * Read `--name value` options following the positional arguments
+ */
+function parseOptions(args) {
+    const options = {}
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) throw new Error(`Unexpected argument: ${args[i]}`)
+        options[args[i].slice(2)] = args[i + 1]
+    }
+    return options
+}
+
+async function create(name, args) {
+    if (!name) throw new Error('Usage: node apiKeys.js create <name> [--scopes read,admin] [--max-connections 5]')
+
+    const options = parseOptions(args)
+    const scopes = (options.scopes || 'read').split(',').map(scope => scope.trim())
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope))
+    if (unknown.length > 0) throw new Error(`Unknown scope(s): ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`)
+
+    const maxConnections = Number(options['max-connections'] || 5)
+    if (!Number.isInteger(maxConnections) || maxConnections < 1) throw new Error('--max-connections must be a positive integer')
+
+    const { key, keyPrefix, keyHash } = generateApiKey()
+    const created = await createApiKey({ name, keyPrefix, keyHash, scopes, maxConnections })
+
+    console.log(`Created API key #${created.id} "${created.name}" (${created.scopes.join(', ')}, ${created.max_connections} connections)`)
+    console.log(`\n    ${key}\n`)
+    console.log('It is shown only once; store it now.')
+}
+
+async function revoke(id) {
+    if (!/^\d+$/.test(id || '')) throw new Error('Usage: node apiKeys.js revoke <id>')
+
+    const revoked = await revokeApiKey(Number(id))
+    if (!revoked) throw new Error(`No active API key #${id}`)
+    console.log(`Revoked API key #${revoked.id} "${revoked.name}"; its open WebSocket connections close within a heartbeat`)
+}
+
+async function list() {
+    console.table((await listApiKeys()).map(key => ({
+        id: key.id,
+        name: key.name,
+        prefix: key.key_prefix,
+        scopes: key.scopes.join(','),
+        max_connections: key.max_connections,
+        created_at: key.created_at,
+        revoked_at: key.revoked_at
+    })))
+}
+
+async function main() {
+    const [command, arg, ...rest] = process.argv.slice(2)
+    if (backendName === 'memory') throw new Error('Keys in the memory backend would vanish with this process; use postgres or sqlite')
+
+    await initStorage()
+    switch (command) {
+        case 'create': return create(arg, rest)
+        case 'revoke': return revoke(arg)
+        case 'list': return list()
+        default: throw new Error('Usage: node apiKeys.js create|revoke|list')
+    }
+}
+
+main()
+    .catch(err => {
+        console.error('apiKeys.js Error:', err.message)
+        process.exitCode = 1
+    })
+    .finally(() => process.exit())
@@ -0,0 +1,113 @@
+// auth.js checks API keys on REST requests and WebSocket upgrades. Keys are random tokens handed out
+// by apiKeys.js; only their SHA-256 is stored. Set API_AUTH=off to skip the checks in local development.
+const crypto = require('crypto')
+const { findApiKey } = require('./dbQueries')
+
+const SCOPES = ['read', 'admin']  // admin implies read
+const KEY_PREFIX_LENGTH = 10
+const authEnabled = process.env.API_AUTH !== 'off'
+
+// Stands in for a key when authentication is off
+const ANONYMOUS_KEY = { id: null, name: 'anonymous', scopes: ['admin'], max_connections: Infinity }
+
+/**
+ * A request without a usable key (401) or with a key lacking the scope (403)
+ */
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.name = 'AuthError'
+        this.status = status
+    }
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * A new random key with the prefix and hash to store for it
+ */
+function generateApiKey() {
+    const key = `gk_${crypto.randomBytes(24).toString('base64url')}`
+    return { key, keyPrefix: key.slice(0, KEY_PREFIX_LENGTH), keyHash: hashApiKey(key) }
+}
+
+function hasScope(apiKey, scope) {
+    return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin')
+}
+
+/**
+ * The key a request carries: `Authorization: Bearer <key>`, an `X-API-Key` header,
+ * or a `token` query parameter (browsers cannot set headers on a WebSocket)
+ */
+function tokenFromRequest(req) {
+    const authorization = req.headers.authorization
+    if (authorization?.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim()
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']).trim()
+    return new URL(req.url, 'http://localhost').searchParams.get('token')
+}
+
+/**
+ * Resolve the request's API key and check it has the scope; throws AuthError
+ */
+async function authenticate(req, scope = 'read') {
+    if (!authEnabled) return ANONYMOUS_KEY
+
+    const token = tokenFromRequest(req)
+    if (!token) throw new AuthError(401, 'API key required')
+
+    const apiKey = await findApiKey(hashApiKey(token))
+    if (!apiKey) throw new AuthError(401, 'Invalid or revoked API key')
+    if (!hasScope(apiKey, scope)) throw new AuthError(403, `API key lacks the ${scope} scope`)
+    return apiKey
+}
+
+/**
+ * Express middleware: reject requests whose key is missing, unknown or lacks the scope
+ */
+function requireScope(scope) {
+    return async (req, res, next) => {
+        try {
+            req.apiKey = await authenticate(req, scope)
+            next()
+        } catch (err) {
+            if (!(err instanceof AuthError)) return next(err)
+            res.status(err.status).json({ error: err.message })
+        }
+    }
+}
+
+// Map key id to its number of open WebSocket and SSE connections. Counted per process, so
+// max_connections applies to each API instance separately.
+const openConnections = new Map()
+
+function hasConnectionSlot(apiKey) {
+    return apiKey.id === null || (openConnections.get(apiKey.id) || 0) < apiKey.max_connections
+}
+
+function acquireConnection(apiKey) {
+    if (apiKey.id === null) return
+    openConnections.set(apiKey.id, (openConnections.get(apiKey.id) || 0) + 1)
+}
+
+function releaseConnection(apiKey) {
+    if (apiKey.id === null) return
+    const open = (openConnections.get(apiKey.id) || 1) - 1
+    if (open > 0) openConnections.set(apiKey.id, open)
+    else openConnections.delete(apiKey.id)
+}
+
+module.exports = {
+    SCOPES,
+    AuthError,
+    authEnabled,
+    generateApiKey,
+    hashApiKey,
+    hasScope,
+    authenticate,
+    requireScope,
+    hasConnectionSlot,
+    acquireConnection,
+    releaseConnection
+}
@@ -0,0 +1,64 @@
+// captures.js reads and writes recorded scoreboard responses used by record mode and the replay provider.
+const fs = require('fs/promises')
+const path = require('path')
+
+const captureDir = () => process.env.REPLAY_DIR || process.env.RECORD_DIR || path.join(__dirname, 'captures')
+
+/**
+ * Write one raw scoreboard response to <RECORD_DIR>/<LEAGUE>/<timestamp>.json.
+ * Does nothing unless RECORD_DIR is set.
+ */
+async function recordCapture(league, url, data) {
+  if (!process.env.RECORD_DIR) return
+
+  const recordedAt = new Date().toISOString()
+  const dir = path.join(process.env.RECORD_DIR, league.name)
+  await fs.mkdir(dir, { recursive: true })
+  await fs.writeFile(
+    path.join(dir, `${recordedAt.replace(/:/g, '-')}.json`),
+    JSON.stringify({ recordedAt, league: league.name, url, data })
+  )
+}
+
+/**
+ * List the captures on disk (optionally for one league), oldest first.
+ * Only the metadata is returned; use readCapture for the payload.
+ */
+async function listCaptures(leagueName) {
+  const root = captureDir()
+  let leagues
+  try {
+    leagues = leagueName ? [leagueName] : await fs.readdir(root)
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+
+  const captures = []
+  for (const league of leagues) {
+    let files
+    try {
+      files = await fs.readdir(path.join(root, league))
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') continue
+      throw err
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      // File names are the capture timestamp with ':' swapped for '-'
+      const recordedAt = new Date(file.replace(/\.json$/, '').replace(/T(\d{2})-(\d{2})-/, 'T$1:$2:'))
+      captures.push({ league, recordedAt, file: path.join(root, league, file) })
+    }
+  }
+
+  return captures.sort((a, b) => a.recordedAt - b.recordedAt)
+}
+
+/**
+ * Load the full capture ({ recordedAt, league, url, data }) from disk.
+ */
+async function readCapture(capture) {
+  return JSON.parse(await fs.readFile(capture.file, 'utf8'))
+}
+
+module.exports = { recordCapture, listCaptures, readCapture }
@@ -0,0 +1,153 @@
+// control.js carries admin commands from the API (REST /api/admin/* and the `admin_command` WebSocket
+// message) to the ingest worker, which owns the scheduled jobs. Commands travel as notifications (see
+// notifier.js), so with the postgres backend an API instance reaches the worker in another process:
+//
+//   { type: 'admin_command', id, command, args }          the API asks the worker to run a command
+//   { type: 'admin_result', id, ok, result?, error? }     the worker answers the instance that asked
+//
+// `broadcast` needs no worker: it asks every API instance to resend each of its clients a full snapshot.
+const crypto = require('crypto')
+const { publish, onNotification, startListening } = require('./notifier')
+const { getLeague, getEnabledLeagues } = require('./leagueConfigs')
+const { ingestData } = require('./ingest')
+const schedule = require('./dailySchedule')
+
+const ADMIN_COMMANDS = ['ingest', 'start_poll', 'cancel_poll', 'pause_polling', 'resume_polling', 'run_daily_schedule', 'broadcast', 'status']
+const COMMAND_TIMEOUT_MS = Number(process.env.ADMIN_COMMAND_TIMEOUT_MS) || 60000
+
+const pendingCommands = new Map()  // Map command id to the { resolve, reject, timer } of its sender
+let receivingResults = false
+
+/**
+ * A command that cannot run: invalid arguments (400), a failure on the worker (500),
+ * or no worker answering in time (504)
+ */
+class CommandError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.name = 'CommandError'
+        this.status = status
+    }
+}
+
+/**
+ * Check a command and its arguments ({ leagues } for ingest, { league } for the poll
+ * commands); returns the arguments the worker gets. Throws CommandError.
+ */
+function validateCommand(command, args = {}) {
+    if (!ADMIN_COMMANDS.includes(command)) {
+        throw new CommandError(400, `Unknown command "${command}" (expected ${ADMIN_COMMANDS.join(', ')})`)
+    }
+
+    if (command === 'ingest') {
+        if (args.leagues === undefined) return {}
+        if (!Array.isArray(args.leagues) || args.leagues.length === 0) throw new CommandError(400, 'leagues must be a non-empty array')
+        const unknown = args.leagues.filter(name => !getLeague(name)?.enabled)
+        if (unknown.length > 0) throw new CommandError(400, `Unknown or disabled league(s): ${unknown.join(', ')}`)
+        return { leagues: args.leagues }
+    }
+
+    if (command === 'start_poll' || command === 'cancel_poll') {
+        if (typeof args.league !== 'string' || !getLeague(args.league)) throw new CommandError(400, 'league must name a known league')
+        if (command === 'start_poll' && !getLeague(args.league).enabled) throw new CommandError(400, `${args.league} is disabled in the league registry`)
+        return { league: args.league }
+    }
+
+    return {}
+}
+
+/**
+ * Run a command where the jobs live; resolves to its result
+ */
+async function runCommand(command, args) {
+    const jobs = () => ({ polling_paused: schedule.isPollingPaused(), scheduled_jobs: schedule.getScheduledLeagueJobs() })
+
+    switch (command) {
+        case 'ingest': {
+            const leagues = args.leagues ? args.leagues.map(getLeague) : getEnabledLeagues()
+            const failedLeagues = await ingestData(leagues)
+            return { leagues: leagues.map(league => league.name), failed_leagues: failedLeagues }
+        }
+        case 'start_poll':
+            schedule.startFrequentPoll(args.league)
+            return jobs()
+        case 'cancel_poll':
+            return { cancelled: schedule.cancelFrequentPoll(args.league), ...jobs() }
+        case 'pause_polling':
+        case 'resume_polling':
+            schedule.setPollingPaused(command === 'pause_polling')
+            return jobs()
+        case 'run_daily_schedule':
+            await schedule.runDailySchedule()
+            return jobs()
+        case 'status':
+            return jobs()
+    }
+}
+
+/**
+ * Worker side: run the commands API instances send and answer each one
+ */
+async function serveCommands() {
+    onNotification(async (notification) => {
+        if (notification.type !== 'admin_command') return
+
+        const { id, command, args } = notification
+        console.log(`Admin command ${command}`, args)
+        try {
+            const result = await runCommand(command, args)
+            await publish({ type: 'admin_result', id, ok: true, result })
+        } catch (err) {
+            console.error(`Admin command ${command} failed:`, err)
+            await publish({ type: 'admin_result', id, ok: false, error: err.message })
+        }
+    })
+    await startListening()
+}
+
+function receiveResults() {
+    if (receivingResults) return
+    receivingResults = true
+
+    onNotification((notification) => {
+        const pending = notification.type === 'admin_result' && pendingCommands.get(notification.id)
+        if (!pending) return  // another instance sent it
+
+        clearTimeout(pending.timer)
+        pendingCommands.delete(notification.id)
+        if (notification.ok) pending.resolve(notification.result)
+        else pending.reject(new CommandError(500, notification.error))
+    })
+}
+
+/**
+ * API side: validate a command, have the worker run it and resolve to its result.
+ * Throws CommandError; a 504 means no worker answered, and the command may still run.
+ */
+async function sendCommand(command, args, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+    const validArgs = validateCommand(command, args)
+
+    if (command === 'broadcast') {
+        await publish({ type: 'broadcast' })
+        return { broadcast: true }
+    }
+
+    receiveResults()
+    const id = crypto.randomUUID()
+    const result = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingCommands.delete(id)
+            reject(new CommandError(504, `No worker answered the ${command} command within ${timeoutMs} ms`))
+        }, timeoutMs)
+        pendingCommands.set(id, { resolve, reject, timer })
+    })
+    await publish({ type: 'admin_command', id, command, args: validArgs })
+    return result
+}
+
+module.exports = {
+    ADMIN_COMMANDS,
+    CommandError,
+    sendCommand,
+    serveCommands
+}
@@ -2,9 +2,11 @@ require('dotenv').config();
 const schedule = require('node-schedule');
 const { getNotFinalGamesToday, areAllGamesFinal } = require('./dbQueries');
 const { ingestData } = require('./ingest');
-const { broadcastUpdatedGames } = require('./api');
+const { getLeague } = require('./leagueConfigs');
+const { schedulerJobRuns } = require('./metrics');
 
 const scheduledLeagueJobs = {};
+let pollingPaused = false;  // Set by the admin API; scheduled polls keep their jobs but skip their runs
 
 /**
  * runDailySchedule:
@@ -20,6 +22,7 @@ async function runDailySchedule() {
         const rows = await getNotFinalGamesToday();
         if (rows.length === 0) {
             console.log('❌ No upcoming games today. Nothing to schedule.');
+            schedulerJobRuns.inc({ job: 'daily_schedule', outcome: 'success' });
             return;
         }
 
@@ -69,32 +72,43 @@ async function runDailySchedule() {
         }
 
         console.log('Daily schedule check complete.\n');
+        schedulerJobRuns.inc({ job: 'daily_schedule', outcome: 'success' });
     } catch (err) {
         console.error('Error in runDailySchedule:', err);
+        schedulerJobRuns.inc({ job: 'daily_schedule', outcome: 'error' });
     }
 }
 
 /**
  * startFrequentPoll(league):
- * - Creates a node-schedule job that runs every 1 min.
+ * - Creates a node-schedule job on the league's pollCadence (every 1 min by default).
  * - Calls ingestData() for just that league.
  * - Cancels itself if all games become final.
  */
 function startFrequentPoll(league) {
+    const config = getLeague(league);
+    if (!config || !config.enabled) {
+        console.log(`Not polling ${league}: it is unknown or disabled in the league registry.`);
+        return;
+    }
+
     if (scheduledLeagueJobs[league]) {
         console.log(`Cancelling existing poll job for ${league} before starting new.`);
         scheduledLeagueJobs[league].cancel();
         delete scheduledLeagueJobs[league];
     }
 
-    const job = schedule.scheduleJob('*/1 * * * *', async function () {
+    const job = schedule.scheduleJob(config.pollCadence || '*/1 * * * *', async function () {
+        if (pollingPaused) {
+            console.log(`[${new Date().toISOString()}] Polling is paused; skipping frequent poll for ${league}`);
+            return;
+        }
         console.log(`[${new Date().toISOString()}] Frequent poll for ${league}`);
 
         try {
-            // The ingestData function can accept an array of { name, slug }.
-            // We'll get the slug from leagueConfigs.
-            await ingestData([{ name: league, slug: getSlugForLeague(league) }]);
-            await broadcastUpdatedGames(league);
+            // The ingestData function accepts an array of league configs.
+            // Ingest notifies the API instances, which push the changes to their clients
+            await ingestData([config]);
 
             // Check if all games are final
             const done = await areAllGamesFinal(league);
@@ -103,19 +117,59 @@ function startFrequentPoll(league) {
                 job.cancel();
                 delete scheduledLeagueJobs[league];
             }
+            schedulerJobRuns.inc({ job: 'frequent_poll', outcome: 'success' });
         } catch (err) {
             console.error(`Error during frequent poll of ${league}:`, err);
+            schedulerJobRuns.inc({ job: 'frequent_poll', outcome: 'error' });
         }
     });
 
     scheduledLeagueJobs[league] = job;
 }
 
-// Helper to find the "slug" given a league name
-function getSlugForLeague(leagueName) {
-    const leagueConfigs = require('./leagueConfigs');
-    const found = leagueConfigs.find((cfg) => cfg.name === leagueName);
-    return found ? found.slug : null;
+/**
+ * cancelFrequentPoll(league):
+ * - Stops the league's frequent poll job; returns whether one was running.
+ */
+function cancelFrequentPoll(league) {
+    const job = scheduledLeagueJobs[league];
+    if (!job) return false;
+
+    console.log(`Cancelling frequent poll for ${league}.`);
+    job.cancel();
+    delete scheduledLeagueJobs[league];
+    return true;
+}
+
+/**
+ * setPollingPaused(paused):
+ * - Pauses or resumes every scheduled ingest (frequent polls and the hourly check in server.js).
+ */
+function setPollingPaused(paused) {
+    pollingPaused = paused;
+    console.log(paused ? '⏸️ Scheduled polling paused.' : '▶️ Scheduled polling resumed.');
+}
+
+function isPollingPaused() {
+    return pollingPaused;
+}
+
+/**
+ * getScheduledLeagueJobs:
+ * - The frequent poll jobs running in this process and when each fires next (for /api/status).
+ */
+function getScheduledLeagueJobs() {
+    return Object.entries(scheduledLeagueJobs).map(([league, job]) => ({
+        league,
+        next_run: job.nextInvocation()?.toISOString() ?? null,
+    }));
 }
 
-module.exports = { runDailySchedule };
+module.exports = {
+    runDailySchedule,
+    startFrequentPoll,
+    cancelFrequentPoll,
+    setPollingPaused,
+    isPollingPaused,
+    getScheduledLeagueJobs,
+};
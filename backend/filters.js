@@ -0,0 +1,290 @@
+// filters.js validates client game filters and turns them into storage queries (SQL for Postgres/SQLite, a predicate for memory).
+const { isKnownLeague } = require('./leagueConfigs')
+
+const GAME_STATES = ['pre', 'in', 'post']
+const SORT_FIELDS = ['start_time', 'league', 'state', 'home_team_name', 'away_team_name', 'external_game_id']
+const SEARCH_COLUMNS = [
+    'home_team_name', 'away_team_name',
+    'home_team_abbreviation', 'away_team_abbreviation',
+    'venue_name', 'venue_city', 'short_detail'
+]
+const FILTER_KEYS = ['leagues', 'states', 'teams', 'start_from', 'start_to', 'search', 'sort']
+
+class FilterValidationError extends Error {
+    constructor(details) {
+        super(`Invalid filter: ${details.join('; ')}`)
+        this.name = 'FilterValidationError'
+        this.details = details
+    }
+}
+
+/**
+ * Accepts either the legacy string array (["NFL", "state_in"]) or a filter object:
+ *
+ *   {
+ *     leagues: ["NFL"],                 // league names from the registry
+ *     states: ["pre", "in"],            // pre | in | post
+ *     teams: ["KC", "Packers", "12"],   // abbreviation, short name or team id, home or away
+ *     start_from: "2026-10-18T00:00Z",  // inclusive
+ *     start_to: "2026-10-19T00:00Z",    // exclusive
+ *     search: "lambeau",                // case-insensitive text over teams, venue and detail
+ *     sort: { field: "start_time", direction: "asc" }
+ *   }
+ *
+ * Returns a normalized filter ({} = every game) or throws FilterValidationError.
+ */
+function normalizeFilter(input) {
+    if (input === undefined || input === null) return {}
+    if (Array.isArray(input)) return normalizeLegacyFilter(input)
+    if (typeof input !== 'object') throw new FilterValidationError(['filters must be an array or an object'])
+
+    const errors = []
+    const filter = {}
+
+    const unknownKeys = Object.keys(input).filter(key => !FILTER_KEYS.includes(key))
+    if (unknownKeys.length > 0) errors.push(`unknown field(s): ${unknownKeys.join(', ')}`)
+
+    const stringList = (key, isValid, description) => {
+        const value = input[key]
+        if (value === undefined) return
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.trim() === '')) {
+            errors.push(`${key} must be an array of strings`)
+            return
+        }
+        const invalid = value.filter(v => !isValid(v))
+        if (invalid.length > 0) errors.push(`${key} has ${description}: ${invalid.join(', ')}`)
+        else if (value.length > 0) filter[key] = [...new Set(value)]
+    }
+
+    stringList('leagues', isKnownLeague, 'unknown league(s)')
+    stringList('states', state => GAME_STATES.includes(state), `state(s) not in ${GAME_STATES.join('/')}`)
+    stringList('teams', team => team.length <= 50, 'value(s) longer than 50 characters')
+
+    for (const key of ['start_from', 'start_to']) {
+        if (input[key] === undefined) continue
+        const date = new Date(input[key])
+        if (typeof input[key] !== 'string' || Number.isNaN(date.getTime())) errors.push(`${key} must be an ISO date`)
+        else filter[key] = date
+    }
+
+    if (input.search !== undefined) {
+        if (typeof input.search !== 'string' || input.search.length > 100) errors.push('search must be a string of at most 100 characters')
+        else if (input.search.trim() !== '') filter.search = input.search.trim()
+    }
+
+    if (input.sort !== undefined) {
+        const { field, direction = 'asc' } = input.sort || {}
+        if (!SORT_FIELDS.includes(field)) errors.push(`sort.field must be one of ${SORT_FIELDS.join(', ')}`)
+        else if (!['asc', 'desc'].includes(direction)) errors.push('sort.direction must be asc or desc')
+        else filter.sort = { field, direction }
+    }
+
+    if (errors.length > 0) throw new FilterValidationError(errors)
+    return filter
+}
+
+/**
+ * The original filter_request format: league names plus state_<state> entries
+ */
+function normalizeLegacyFilter(values) {
+    const invalid = values.filter(v =>
+        typeof v !== 'string' || (!isKnownLeague(v) && !GAME_STATES.map(state => `state_${state}`).includes(v))
+    )
+    if (invalid.length > 0) throw new FilterValidationError([`unknown filter(s): ${invalid.join(', ')}`])
+
+    const filter = {}
+    const leagues = values.filter(v => isKnownLeague(v))
+    const states = values.filter(v => v.startsWith('state_')).map(v => v.replace('state_', ''))
+    if (leagues.length > 0) filter.leagues = [...new Set(leagues)]
+    if (states.length > 0) filter.states = [...new Set(states)]
+    return filter
+}
+
+/**
+ * A list-valued query parameter, given as repeats (?teams=KC&teams=GB) or comma-separated (?teams=KC,GB)
+ */
+function queryList(value) {
+    return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean)
+}
+
+// List parameters of a query filter, each also accepted in the singular (?league=NFL)
+const QUERY_LIST_PARAMS = { leagues: 'league', states: 'state', teams: 'team' }
+
+// Every query parameter filterFromQuery reads
+const FILTER_QUERY_PARAMS = [
+    ...Object.entries(QUERY_LIST_PARAMS).flat(),
+    'start_from', 'start_to', 'search', 'sort', 'direction'
+]
+
+/**
+ * Read a filter from URL query parameters (?leagues=NFL,NBA&states=in&teams=KC
+ * &start_from=...&start_to=...&search=...&sort=start_time&direction=desc).
+ * Other parameters are ignored here (see FILTER_QUERY_PARAMS). Returns null
+ * when none are given, otherwise the normalized filter; throws FilterValidationError.
+ */
+function filterFromQuery(query) {
+    const input = {}
+    for (const [key, singular] of Object.entries(QUERY_LIST_PARAMS)) {
+        if (query[key] !== undefined || query[singular] !== undefined) {
+            input[key] = [...queryList(query[key] ?? []), ...queryList(query[singular] ?? [])]
+        }
+    }
+    for (const key of ['start_from', 'start_to', 'search']) {
+        if (query[key] !== undefined) input[key] = String(query[key])
+    }
+    if (query.sort !== undefined) {
+        input.sort = { field: String(query.sort), ...(query.direction !== undefined && { direction: String(query.direction) }) }
+    }
+
+    return Object.keys(input).length > 0 ? normalizeFilter(input) : null
+}
+
+/**
+ * Read ?since= for incremental REST reads: a game version (as in the X-Games-Version
+ * header) or an ISO timestamp compared with updated_at. Returns the filter fields
+ * to add ({ since_version } or { updated_after }); throws FilterValidationError.
+ * These fields are not accepted from WebSocket clients.
+ */
+function sinceFromQuery(value) {
+    if (value === undefined) return {}
+    const since = String(value)
+    if (/^\d+$/.test(since)) return { since_version: Number(since) }
+
+    const date = new Date(since)
+    if (Number.isNaN(date.getTime())) throw new FilterValidationError(['since must be a game version or an ISO timestamp'])
+    return { updated_after: date }
+}
+
+/**
+ * Compile a normalized filter into a WHERE / ORDER BY for the games table.
+ * dialect 'postgres' uses $1 placeholders, 'sqlite' uses @p1 named ones.
+ */
+function compileFilter(filter, dialect = 'postgres') {
+    const params = []
+    const param = (value) => {
+        params.push(value)
+        return dialect === 'postgres' ? `$${params.length}` : `@p${params.length}`
+    }
+    const list = (values) => values.map(param).join(', ')
+    const conditions = []
+
+    if (filter.leagues) conditions.push(`league IN (${list(filter.leagues)})`)
+    if (filter.states) conditions.push(`state IN (${list(filter.states)})`)
+
+    if (filter.teams) {
+        const names = list(filter.teams.map(team => team.toLowerCase()))
+        const ids = list(filter.teams)
+        conditions.push(`(
+            LOWER(home_team_abbreviation) IN (${names}) OR LOWER(away_team_abbreviation) IN (${names})
+            OR LOWER(home_team_name) IN (${names}) OR LOWER(away_team_name) IN (${names})
+            OR home_team_id IN (${ids}) OR away_team_id IN (${ids})
+        )`)
+    }
+
+    if (filter.start_from) conditions.push(`start_time >= ${param(filter.start_from.toISOString())}`)
+    if (filter.start_to) conditions.push(`start_time < ${param(filter.start_to.toISOString())}`)
+    if (filter.since_version !== undefined) conditions.push(`version > ${param(filter.since_version)}`)
+    if (filter.updated_after) conditions.push(`updated_at > ${param(filter.updated_after.toISOString())}`)
+
+    if (filter.search) {
+        const pattern = param(`%${filter.search.replace(/[\\%_]/g, match => `\\${match}`)}%`)
+        const like = dialect === 'postgres' ? 'ILIKE' : 'LIKE' // SQLite LIKE is already case-insensitive
+        conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} ${like} ${pattern} ESCAPE '\\'`).join(' OR ')})`)
+    }
+
+    // The same columns as sortKey(), so a page cursor (filter.after) is a row comparison
+    const keyColumns = filter.sort
+        ? [filter.sort.field === 'start_time' ? 'start_time' : `COALESCE(${filter.sort.field}, '')`, 'league', 'external_game_id']
+        : [`CASE WHEN state = 'in' THEN 1 ELSE 2 END`, 'league', 'start_time', 'external_game_id']
+    const direction = filter.sort?.direction === 'desc' ? 'DESC' : 'ASC'
+    if (filter.after) {
+        conditions.push(`(${keyColumns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${list(filter.after)})`)
+    }
+
+    return {
+        where: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE',
+        orderBy: keyColumns.map(column => `${column} ${direction}`).join(', '),
+        limit: filter.limit ?? null,
+        params
+    }
+}
+
+/**
+ * In-memory equivalent of compileFilter for a single row
+ */
+function matchesFilter(game, filter) {
+    if (filter.leagues && !filter.leagues.includes(game.league)) return false
+    if (filter.states && !filter.states.includes(game.state)) return false
+
+    if (filter.teams) {
+        const names = filter.teams.map(team => team.toLowerCase())
+        const nameMatch = [game.home_team_abbreviation, game.away_team_abbreviation, game.home_team_name, game.away_team_name]
+            .some(value => value && names.includes(value.toLowerCase()))
+        const idMatch = filter.teams.includes(game.home_team_id) || filter.teams.includes(game.away_team_id)
+        if (!nameMatch && !idMatch) return false
+    }
+
+    const startTime = new Date(game.start_time)
+    if (filter.start_from && startTime < filter.start_from) return false
+    if (filter.start_to && startTime >= filter.start_to) return false
+    if (filter.since_version !== undefined && !(game.version > filter.since_version)) return false
+    if (filter.updated_after && !(new Date(game.updated_at) > filter.updated_after)) return false
+
+    if (filter.search) {
+        const needle = filter.search.toLowerCase()
+        if (!SEARCH_COLUMNS.some(column => game[column] && String(game[column]).toLowerCase().includes(needle))) return false
+    }
+
+    if (filter.after && compareSortKeys(filter)(sortKey(game, filter), filter.after) <= 0) return false
+
+    return true
+}
+
+/**
+ * Where a game falls in a filter's order: the values compileFilter's ORDER BY
+ * looks at, which is also what a page cursor records. Live games come first
+ * unless the filter has a sort; ties go by league and external_game_id.
+ */
+function sortKey(game, filter) {
+    const startTime = new Date(game.start_time).toISOString()
+    if (!filter.sort) return [game.state === 'in' ? 1 : 2, game.league, startTime, game.external_game_id]
+
+    const { field } = filter.sort
+    return [field === 'start_time' ? startTime : (game[field] ?? ''), game.league, game.external_game_id]
+}
+
+function compareSortKeys(filter) {
+    const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+    const sign = filter.sort?.direction === 'desc' ? -1 : 1
+
+    return (keyA, keyB) => {
+        for (let i = 0; i < keyA.length; i++) {
+            const order = compareValues(keyA[i], keyB[i])
+            if (order !== 0) return sign * order
+        }
+        return 0
+    }
+}
+
+/**
+ * In-memory equivalent of compileFilter's ORDER BY
+ */
+function compareGames(filter) {
+    const compareKeys = compareSortKeys(filter)
+    return (a, b) => compareKeys(sortKey(a, filter), sortKey(b, filter))
+}
+
+module.exports = {
+    FilterValidationError,
+    normalizeFilter,
+    filterFromQuery,
+    FILTER_QUERY_PARAMS,
+    sinceFromQuery,
+    queryList,
+    compileFilter,
+    matchesFilter,
+    compareGames,
+    sortKey,
+    GAME_STATES,
+    SORT_FIELDS
+}
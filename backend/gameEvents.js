@@ -0,0 +1,56 @@
+// gameEvents.js detects game lifecycle transitions during ingest; ingest publishes them through notifier.js.
+
+/**
+ * Compare the stored row for a game (DB column names) with the freshly
+ * ingested game (ingest shape) and return the lifecycle events it implies.
+ * A game seen for the first time produces no events.
+ */
+function detectGameEvents(previous, game) {
+  if (!previous) return []
+
+  const base = {
+    league: game.league,
+    external_game_id: game.externalGameId,
+    home_team_id: game.homeTeam.id,
+    home_team_name: game.homeTeam.name,
+    home_team_abbreviation: game.homeTeam.abbreviation,
+    away_team_id: game.awayTeam.id,
+    away_team_name: game.awayTeam.name,
+    away_team_abbreviation: game.awayTeam.abbreviation,
+    state: game.state,
+    short_detail: game.shortDetail,
+  }
+  const events = []
+
+  if (previous.state === 'pre' && game.state === 'in') {
+    events.push({ type: 'game_started', ...base })
+  }
+
+  if (previous.home_team_score !== game.homeTeam.score || previous.away_team_score !== game.awayTeam.score) {
+    events.push({
+      type: 'score_changed',
+      ...base,
+      old_score: { home: previous.home_team_score, away: previous.away_team_score },
+      new_score: { home: game.homeTeam.score, away: game.awayTeam.score },
+    })
+  }
+
+  // The provider's period number, not short_detail: its clock text ("7:23 - 2nd", "66'") changes every poll
+  const periodKnown = previous.period != null && game.period != null
+  if (previous.state === 'in' && game.state === 'in' && periodKnown && previous.period !== game.period) {
+    events.push({
+      type: 'period_changed',
+      ...base,
+      old_period: previous.period,
+      new_period: game.period,
+    })
+  }
+
+  if (previous.state === 'in' && game.state === 'post') {
+    events.push({ type: 'game_final', ...base })
+  }
+
+  return events
+}
+
+module.exports = { detectGameEvents }
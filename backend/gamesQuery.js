@@ -0,0 +1,115 @@
+// gamesQuery.js reads the query string of the REST games routes: the filter (see filters.js), ?since=,
+// the page size and cursor, and which fields to return.
+const { FilterValidationError, filterFromQuery, FILTER_QUERY_PARAMS, sinceFromQuery, queryList, sortKey } = require('./filters')
+
+const MAX_PAGE_SIZE = 1000
+
+// Query parameters of the games list and single-game routes; `token` carries the API key (see auth.js)
+const LIST_QUERY_PARAMS = [...FILTER_QUERY_PARAMS, 'since', 'limit', 'cursor', 'fields', 'token']
+const GAME_QUERY_PARAMS = ['fields', 'token']
+
+// Columns of a games row
+const GAME_FIELDS = [
+    'id', 'league', 'external_game_id', 'link',
+    'home_team_name', 'home_team_logo', 'home_team_score',
+    'away_team_name', 'away_team_logo', 'away_team_score',
+    'start_time', 'short_detail', 'state',
+    'home_team_id', 'home_team_abbreviation', 'home_team_color', 'home_team_alt_color', 'home_team_record',
+    'away_team_id', 'away_team_abbreviation', 'away_team_color', 'away_team_alt_color', 'away_team_record',
+    'venue_name', 'venue_city', 'venue_state', 'broadcasts', 'neutral_site', 'situation',
+    'version', 'updated_at'
+]
+
+/**
+ * Which order a cursor was taken in; a cursor is only valid for the same order
+ */
+function orderOf(filter) {
+    return filter.sort ? `${filter.sort.field}:${filter.sort.direction}` : 'default'
+}
+
+/**
+ * An opaque cursor pointing just past `game` in the filter's order
+ */
+function encodeCursor(game, filter) {
+    return Buffer.from(JSON.stringify({ o: orderOf(filter), k: sortKey(game, filter) })).toString('base64url')
+}
+
+function decodeCursor(cursor, filter) {
+    let decoded
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    } catch {
+        decoded = null
+    }
+
+    const valid = decoded?.o === orderOf(filter) &&
+        Array.isArray(decoded.k) &&
+        decoded.k.length === (filter.sort ? 3 : 4) &&  // see filters.sortKey
+        decoded.k.every(value => ['string', 'number'].includes(typeof value))
+    if (!valid) throw new FilterValidationError(['cursor is invalid or was issued for a different sort'])
+    return decoded.k
+}
+
+/**
+ * Reject parameters a route does not read, so a misspelled filter is not silently
+ * ignored (returning every game); throws FilterValidationError
+ */
+function checkQueryParams(query, allowed) {
+    const unknown = Object.keys(query).filter(param => !allowed.includes(param))
+    if (unknown.length > 0) throw new FilterValidationError([`unknown query parameter(s): ${unknown.join(', ')}`])
+}
+
+/**
+ * ?fields=league,external_game_id,home_team_score; null when every field is wanted
+ */
+function fieldsFromQuery(query) {
+    if (query.fields === undefined) return null
+
+    const fields = queryList(query.fields)
+    const unknown = fields.filter(field => !GAME_FIELDS.includes(field))
+    if (unknown.length > 0) throw new FilterValidationError([`unknown field(s): ${unknown.join(', ')}`])
+    return fields.length > 0 ? fields : null
+}
+
+function selectFields(game, fields) {
+    return Object.fromEntries(fields.map(field => [field, game[field]]))
+}
+
+/**
+ * The fields a single-game request asks for; throws FilterValidationError
+ */
+function parseGameQuery(query) {
+    checkQueryParams(query, GAME_QUERY_PARAMS)
+    return fieldsFromQuery(query)
+}
+
+/**
+ * Everything a games list request asks for: the storage filter (narrowed to
+ * `leagueName` for /api/games/:league), the page size (null = no paging)
+ * and the fields; throws FilterValidationError
+ */
+function parseGamesQuery(query, leagueName = null) {
+    checkQueryParams(query, LIST_QUERY_PARAMS)
+    const filter = { ...filterFromQuery(query), ...sinceFromQuery(query.since) }
+    if (leagueName) filter.leagues = [leagueName]
+
+    let limit = null
+    if (query.limit !== undefined) {
+        limit = Number(query.limit)
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new FilterValidationError([`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`])
+        }
+    }
+    if (query.cursor !== undefined) filter.after = decodeCursor(String(query.cursor), filter)
+
+    return { filter, limit, fields: fieldsFromQuery(query) }
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    GAME_FIELDS,
+    parseGamesQuery,
+    parseGameQuery,
+    selectFields,
+    encodeCursor
+}
@@ -1,67 +1,108 @@
-// ingest.js is a utility file that fetches data from ESPN for the given leagues, transforms the data, and upserts it into the database.
+// ingest.js is a utility file that fetches data from each league's score provider (ESPN by default) and upserts it into the database.
 require('dotenv').config()
-const axios = require('axios')
-const leagueConfigs = require('./leagueConfigs')
-const { upsertGame, clearTable } = require('./dbQueries')
+const { getEnabledLeagues } = require('./leagueConfigs')
+const { replaceLeagueGames, markLeagueFresh, markLeagueStale } = require('./dbQueries')
+const { detectGameEvents } = require('./gameEvents')
+const { publish } = require('./notifier')
+const { ingestFetchDuration, ingestFailures } = require('./metrics')
+const { getProvider } = require('./providers')
 
 /**
- * Fetch data from ESPN for the given leagues,
- * transform the data, and upsert into DB.
+ * Reject a provider result we should not replace good data with.
+ */
+function validateGames(league, games) {
+  if (!Array.isArray(games)) {
+    throw new Error(`Provider returned ${typeof games} instead of a games array for ${league.name}`)
+  }
+
+  const seen = new Set()
+  for (const game of games) {
+    if (!game.externalGameId) throw new Error(`Game without an id in ${league.name} scoreboard`)
+    if (seen.has(game.externalGameId)) throw new Error(`Duplicate game ${game.externalGameId} in ${league.name} scoreboard`)
+    if (game.league !== league.name) throw new Error(`Game ${game.externalGameId} belongs to ${game.league}, not ${league.name}`)
+    if (Number.isNaN(Date.parse(game.startTime))) throw new Error(`Game ${game.externalGameId} has an invalid start time`)
+    seen.add(game.externalGameId)
+  }
+}
+
+/**
+ * Fetch normalized games from each league's provider
+ * (optionally for a specific date) and store them.
+ *
+ * Each league is fetched and validated first, then its rows are replaced in
+ * a single transaction. A league that fails keeps its last good data and is
+ * marked stale (league_status.stale_since) until its next successful ingest.
+ *
+ * Changes are published through the notifier (see notifier.js): every league's
+ * resulting status as 'league_status', lifecycle events (game_started,
+ * score_changed, period_changed, game_final) found by comparing against the rows
+ * stored before this run as 'game_event', and finally 'league_updated'.
  *
- * If no leaguesToIngest is provided, default = all leagueConfigs.
+ * If no leaguesToIngest is provided, default = every enabled league in the registry.
+ * Resolves to the names of the leagues that failed.
  */
-async function ingestData(leaguesToIngest = leagueConfigs) {
+async function ingestData(leaguesToIngest = getEnabledLeagues(), date) {
 
-  console.log('leagueConfigs:', leaguesToIngest)
-  await clearTable(leaguesToIngest) // Clear all existing data
-  
-  try {
-    for (const { name, slug } of leaguesToIngest) {
-      const url = `${process.env.ESPN_API_URL}/${slug}/scoreboard`
-      console.log(`\x1b[34m\nFetching data for ${name} (${slug})...\x1b[0m`)
+  console.log('leagues:', leaguesToIngest.map(league => league.name))
+  const failedLeagues = []
 
-      const response = await axios.get(url)
-      const games = response.data?.events || []
-      console.log(`Fetched ${games.length} games for ${name}.`)
+  for (const league of leaguesToIngest) {
+    const { name, slug } = league
 
-      // Transform
-      const cleanedData = games.map(game => {
-        const competition = game?.competitions?.[0] || {}
-        const team1 = competition.competitors?.[0]
-        const team2 = competition.competitors?.[1]
+    try {
+      const provider = getProvider(league)
+      console.log(`\x1b[34m\nFetching data for ${name} (${slug}) from ${provider.name}...\x1b[0m`)
 
-        return {
-          league: name,
-          externalGameId: game.id,
-          link: game.links?.[0]?.href || null,
-          homeTeam: {
-            name: team1?.team?.shortDisplayName || 'TBD',
-            logo: team1?.team?.logo || null,
-            score: parseInt(team1?.score, 10) || 0,
-          },
-          awayTeam: {
-            name: team2?.team?.shortDisplayName || 'TBD',
-            logo: team2?.team?.logo || null,
-            score: parseInt(team2?.score, 10) || 0,
-          },
-          startTime: new Date(game.date).toISOString(),
-          shortDetail: game.status?.type?.shortDetail || 'N/A',
-          state: game.status?.type?.state || 'N/A',
-        }
-      })
+      const endFetch = ingestFetchDuration.startTimer({ league: name, provider: provider.name })
+      let cleanedData
+      let outcome = 'error'
+      try {
+        cleanedData = await provider.fetchScoreboard(league, date)
+        outcome = 'success'
+      } finally {
+        // Failed and timed-out fetches are the latencies that matter most
+        endFetch({ outcome })
+      }
+      validateGames(league, cleanedData)
+      console.log(`Fetched ${cleanedData.length} games for ${name}.`)
+
+      // The replace hands back the rows it replaced, read under its lock: two overlapping
+      // ingests of a league (the hourly check and a frequent poll both fire at :00) must
+      // not both compare against the same old rows and announce the same events twice
+      const previousGames = new Map()
+      for (const row of await replaceLeagueGames(name, cleanedData)) {
+        previousGames.set(row.external_game_id, row)
+      }
+      console.log(`Replaced ${cleanedData.length} games for league: ${name}.`)
 
-      // Upsert each record
+      await publish({ type: 'league_status', status: await markLeagueFresh(name) })
+
+      // Announce what changed since the last run
       for (const g of cleanedData) {
-        await upsertGame(g)
+        for (const event of detectGameEvents(previousGames.get(g.externalGameId), g)) {
+          await publish({ type: 'game_event', event })
+        }
       }
+      await publish({ type: 'league_updated', league: name })
+    } catch (err) {
+      failedLeagues.push(name)
+      ingestFailures.inc({ league: name })
+      console.error(`\x1b[41m Error occurred ingesting ${name}; keeping last good data: \x1b[0m`, err)
 
-      console.log(`Upserted ${cleanedData.length} games for league: ${name}.`)
+      try {
+        await publish({ type: 'league_status', status: await markLeagueStale(name, err.message) })
+      } catch (statusErr) {
+        console.error(`Could not mark ${name} as stale:`, statusErr)
+      }
     }
+  }
 
+  if (failedLeagues.length === 0) {
     console.log('\x1b[32mLeague(s) processed and upserted successfully!\n\x1b[0m')
-  } catch (err) {
-    console.error('\x1b[41m Error occurred in ingestData: \x1b[0m', err)
+  } else {
+    console.log(`\x1b[33mIngest finished with stale league(s): ${failedLeagues.join(', ')}\n\x1b[0m`)
   }
+  return failedLeagues
 }
 
 module.exports = { ingestData }
@@ -1,7 +1,39 @@
-// leagueConfigs.js ised to store league configurations for the backend
-module.exports = [
-    { name: 'NFL', slug: 'football/nfl' },
-    { name: 'NBA', slug: 'basketball/nba' },
-    { name: 'NHL', slug: 'hockey/nhl' },
-    { name: 'MLB', slug: 'baseball/mlb' }
-]
\ No newline at end of file
+// leagueConfigs.js is the single league registry: ingest, scheduling, filter validation and the UI's filter toggles all come from here.
+//
+// name         - league key used in the database, filters and messages
+// displayName  - label shown to users
+// slug         - ESPN path segment ("<sport>/<league>")
+// sport        - drives sport-specific parsing (e.g. live situation)
+// pollCadence  - node-schedule cron used while the league has live games
+// enabled      - disabled leagues are not ingested or scheduled
+// provider     - score feed (see providers/index.js): 'espn', 'fixture' or 'replay'
+const leagues = [
+    { name: 'NFL', displayName: 'NFL', slug: 'football/nfl', sport: 'football', pollCadence: '*/1 * * * *', enabled: true, provider: 'espn' },
+    { name: 'NBA', displayName: 'NBA', slug: 'basketball/nba', sport: 'basketball', pollCadence: '*/1 * * * *', enabled: true, provider: 'espn' },
+    { name: 'MLB', displayName: 'MLB', slug: 'baseball/mlb', sport: 'baseball', pollCadence: '*/1 * * * *', enabled: true, provider: 'espn' },
+    { name: 'NHL', displayName: 'NHL', slug: 'hockey/nhl', sport: 'hockey', pollCadence: '*/1 * * * *', enabled: true, provider: 'espn' },
+    { name: 'MLS', displayName: 'MLS', slug: 'soccer/usa.1', sport: 'soccer', pollCadence: '*/1 * * * *', enabled: true, provider: 'espn' },
+    { name: 'NCAAF', displayName: 'NCAA Football', slug: 'football/college-football', sport: 'football', pollCadence: '*/2 * * * *', enabled: true, provider: 'espn' },
+    { name: 'NCAAB', displayName: 'NCAA Basketball', slug: 'basketball/mens-college-basketball', sport: 'basketball', pollCadence: '*/2 * * * *', enabled: true, provider: 'espn' },
+]
+
+function getLeague(name) {
+    return leagues.find(league => league.name === name) || null
+}
+
+function isKnownLeague(name) {
+    return leagues.some(league => league.name === name)
+}
+
+function getEnabledLeagues() {
+    return leagues.filter(league => league.enabled)
+}
+
+/**
+ * The fields clients need (GET /api/leagues and the `leagues` WebSocket message)
+ */
+function toPublicLeague({ name, displayName, sport, pollCadence, enabled }) {
+    return { name, displayName, sport, pollCadence, enabled }
+}
+
+module.exports = { leagues, getLeague, isKnownLeague, getEnabledLeagues, toPublicLeague }
@@ -0,0 +1,57 @@
+// limits.js holds the per-connection WebSocket limits: an inbound token bucket, so one socket cannot
+// flood the server with queries, and the outbound buffer sizes at which a slow consumer first gets
+// coalesced updates and is finally disconnected.
+
+// Inbound: a socket may burst WS_RATE_BURST tokens, refilled at WS_RATE_PER_SEC per second
+const RATE_BURST = Number(process.env.WS_RATE_BURST) || 20
+const RATE_PER_SEC = Number(process.env.WS_RATE_PER_SEC) || 5
+
+// Messages that run storage queries cost more than the rest (1 token)
+const MESSAGE_COSTS = {
+    connection: 5,
+    filter_request: 5,
+    snapshot_request: 5,
+    subscribe: 3,
+    timeline_request: 2,
+    admin_command: 5
+}
+
+// Outbound: above SLOW_CONSUMER_BYTES unsent, pushes are coalesced to the latest state per game;
+// above MAX_BUFFERED_BYTES the socket is closed with 1013 (try again later)
+const SLOW_CONSUMER_BYTES = Number(process.env.WS_SLOW_CONSUMER_BYTES) || 256 * 1024
+const MAX_BUFFERED_BYTES = Number(process.env.WS_MAX_BUFFERED_BYTES) || 4 * 1024 * 1024
+const BACKLOG_FLUSH_MS = 500  // how often a slow consumer's buffer is checked for room
+
+function createRateLimiter() {
+    return { tokens: RATE_BURST, updatedAt: Date.now() }
+}
+
+function messageCost(type) {
+    return MESSAGE_COSTS[type] || 1
+}
+
+/**
+ * Spend tokens for a message (at most a full burst); returns 0 when allowed,
+ * otherwise the ms until enough tokens are back
+ */
+function takeTokens(limiter, requested) {
+    const cost = Math.min(requested, RATE_BURST)
+    const now = Date.now()
+    limiter.tokens = Math.min(RATE_BURST, limiter.tokens + (now - limiter.updatedAt) / 1000 * RATE_PER_SEC)
+    limiter.updatedAt = now
+
+    if (limiter.tokens >= cost) {
+        limiter.tokens -= cost
+        return 0
+    }
+    return Math.ceil((cost - limiter.tokens) / RATE_PER_SEC * 1000)
+}
+
+module.exports = {
+    SLOW_CONSUMER_BYTES,
+    MAX_BUFFERED_BYTES,
+    BACKLOG_FLUSH_MS,
+    createRateLimiter,
+    messageCost,
+    takeTokens
+}
@@ -0,0 +1,115 @@
+// metrics.js defines the Prometheus metrics of this process (plus prom-client's default process metrics).
+// The API serves them at GET /metrics; a worker-only process serves them on METRICS_PORT (see server.js).
+const http = require('http')
+const client = require('prom-client')
+
+client.collectDefaultMetrics()
+
+const ingestFetchDuration = new client.Histogram({
+    name: 'ingest_fetch_duration_seconds',
+    help: 'Time to fetch and normalize a league scoreboard from its provider, failed fetches included',
+    labelNames: ['league', 'provider', 'outcome'],  // outcome: success or error
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+})
+
+const ingestFailures = new client.Counter({
+    name: 'ingest_failures_total',
+    help: 'League ingests that failed (fetch, validation or storage); the league keeps its last good data',
+    labelNames: ['league']
+})
+
+const dbOperationDuration = new client.Histogram({
+    name: 'db_operation_duration_seconds',
+    help: 'Duration of storage calls made through dbQueries.js',
+    labelNames: ['operation'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+})
+
+const connectedClients = new client.Gauge({
+    name: 'connected_clients',
+    help: 'Open client connections',
+    labelNames: ['transport']  // websocket or sse
+})
+
+const clientSessions = new client.Gauge({
+    name: 'client_sessions',
+    help: 'Client sessions, connected or detached awaiting resume'
+})
+
+const messagesReceived = new client.Counter({
+    name: 'client_messages_received_total',
+    help: 'Messages received from WebSocket clients, by protocol type (unknown for anything else)',
+    labelNames: ['type']
+})
+
+const messagesSent = new client.Counter({
+    name: 'client_messages_sent_total',
+    help: 'Messages sent to clients, by protocol type',
+    labelNames: ['type', 'transport']
+})
+
+// broadcastUpdatedGames sends game_added, game_changed and game_removed
+const bytesSent = new client.Counter({
+    name: 'client_bytes_sent_total',
+    help: 'Serialized bytes of the messages sent to clients, by protocol type',
+    labelNames: ['type', 'transport']
+})
+
+const schedulerJobRuns = new client.Counter({
+    name: 'scheduler_job_runs_total',
+    help: 'Runs of the scheduled jobs (hourly_ingest, daily_schedule, frequent_poll)',
+    labelNames: ['job', 'outcome']
+})
+
+/**
+ * Express handler for GET /metrics
+ */
+async function metricsHandler(req, res) {
+    try {
+        res.set('Content-Type', client.register.contentType)
+        res.end(await client.register.metrics())
+    } catch (err) {
+        console.error('Error collecting metrics:', err)
+        res.status(500).end()
+    }
+}
+
+/**
+ * Serve /metrics on its own port, for a process without the API
+ */
+function startMetricsServer(port) {
+    const server = http.createServer(async (req, res) => {
+        if (req.url !== '/metrics') {
+            res.writeHead(404).end()
+            return
+        }
+        try {
+            const body = await client.register.metrics()
+            res.writeHead(200, { 'Content-Type': client.register.contentType }).end(body)
+        } catch (err) {
+            console.error('Error collecting metrics:', err)
+            res.writeHead(500).end()
+        }
+    })
+
+    return new Promise((resolve, reject) => {
+        server.listen(port, () => {
+            console.log(`📈 Metrics on http://localhost:${port}/metrics`)
+            resolve()
+        }).on('error', reject)
+    })
+}
+
+module.exports = {
+    ingestFetchDuration,
+    ingestFailures,
+    dbOperationDuration,
+    connectedClients,
+    clientSessions,
+    messagesReceived,
+    messagesSent,
+    bytesSent,
+    schedulerJobRuns,
+    metricsHandler,
+    startMetricsServer
+}
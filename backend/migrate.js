@@ -0,0 +1,174 @@
+// migrate.js applies the versioned SQL files in ./migrations and records each applied version in schema_migrations.
+// The SQLite backend applies the same versions, written in its dialect, from ./migrations/sqlite.
+//
+// Usage: node migrate.js [up|status]   (Postgres; server.js also runs pending migrations on startup)
+require('dotenv').config()
+const fs = require('fs/promises')
+const path = require('path')
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations')
+const SQLITE_MIGRATIONS_DIR = path.join(MIGRATIONS_DIR, 'sqlite')
+const SQLITE_BASELINE_VERSION = 7 // the schema sqlite.js created inline before it had migrations
+const MIGRATION_LOCK_ID = 4_000_001 // pg_advisory_lock key so concurrent starts don't race
+
+/**
+ * Read migration files named <version>_<name>.sql, ordered by version.
+ */
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = await fs.readdir(dir)
+
+    return files
+        .map(file => file.match(/^(\d+)_(.+)\.sql$/))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: parseInt(version, 10), name, file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version)
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version    INTEGER PRIMARY KEY,
+            name       TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+    `)
+}
+
+/**
+ * Apply every migration not yet recorded in schema_migrations, each in its
+ * own transaction. Returns the migrations that were applied.
+ */
+async function runMigrations() {
+    const client = await require('./db').connect()
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID])
+        await ensureMigrationsTable(client)
+
+        const { rows } = await client.query('SELECT version FROM schema_migrations')
+        const appliedVersions = new Set(rows.map(row => row.version))
+        const pending = (await loadMigrations()).filter(m => !appliedVersions.has(m.version))
+
+        for (const migration of pending) {
+            console.log(`🛠️ Applying migration ${migration.version}_${migration.name}...`)
+            const sql = await fs.readFile(migration.file, 'utf8')
+
+            try {
+                await client.query('BEGIN')
+                await client.query(sql)
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                )
+                await client.query('COMMIT')
+            } catch (err) {
+                await client.query('ROLLBACK')
+                throw new Error(`Migration ${migration.version}_${migration.name} failed: ${err.message}`)
+            }
+        }
+
+        console.log(pending.length ? `Applied ${pending.length} migration(s).` : 'Database schema is up to date.')
+        return pending
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {})
+        client.release()
+    }
+}
+
+/**
+ * List every known migration with when (if ever) it was applied.
+ */
+async function getMigrationStatus() {
+    const client = await require('./db').connect()
+
+    try {
+        await ensureMigrationsTable(client)
+        const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations')
+        const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]))
+
+        return (await loadMigrations()).map(m => ({
+            version: m.version,
+            name: m.name,
+            applied_at: appliedAt.get(m.version) || null
+        }))
+    } finally {
+        client.release()
+    }
+}
+
+/**
+ * The SQLite migrations, after checking that every Postgres migration has a SQLite
+ * version of the same number and name, so the two schemas cannot drift apart.
+ */
+async function loadSqliteMigrations() {
+    const [postgres, sqlite] = await Promise.all([loadMigrations(), loadMigrations(SQLITE_MIGRATIONS_DIR)])
+    const key = m => `${m.version}_${m.name}`
+    const sqliteKeys = new Set(sqlite.map(key))
+    const postgresKeys = new Set(postgres.map(key))
+    const unmatched = [...postgres.filter(m => !sqliteKeys.has(key(m))), ...sqlite.filter(m => !postgresKeys.has(key(m)))]
+    if (unmatched.length > 0) {
+        throw new Error(`Migrations without a Postgres and a SQLite version: ${unmatched.map(m => path.relative(__dirname, m.file)).join(', ')}`)
+    }
+    return sqlite
+}
+
+/**
+ * Apply every SQLite migration not yet recorded in schema_migrations to an open
+ * better-sqlite3 database (see storage/sqlite.js), each in its own transaction.
+ * Returns the migrations that were applied.
+ */
+async function runSqliteMigrations(db) {
+    const migrations = await loadSqliteMigrations()
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version    INTEGER PRIMARY KEY,
+            name       TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        );
+    `)
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+
+    // A file created before SQLite had migrations already holds the baseline schema
+    const applied = db.prepare('SELECT version FROM schema_migrations').all()
+    const hasGames = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'games'`).get()
+    if (applied.length === 0 && hasGames) {
+        const hasVersions = db.prepare('PRAGMA table_info(games);').all().some(column => column.name === 'version')
+        const baseline = migrations.filter(m => m.version < SQLITE_BASELINE_VERSION || (m.version === SQLITE_BASELINE_VERSION && hasVersions))
+        for (const m of baseline) record.run(m.version, m.name, new Date().toISOString())
+    }
+
+    const appliedVersions = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version))
+    const pending = migrations.filter(m => !appliedVersions.has(m.version))
+
+    for (const migration of pending) {
+        console.log(`Applying SQLite migration ${migration.version}_${migration.name}...`)
+        const sql = await fs.readFile(migration.file, 'utf8')
+
+        try {
+            db.transaction(() => {
+                db.exec(sql)
+                record.run(migration.version, migration.name, new Date().toISOString())
+            })()
+        } catch (err) {
+            throw new Error(`SQLite migration ${migration.version}_${migration.name} failed: ${err.message}`)
+        }
+    }
+    return pending
+}
+
+if (require.main === module) {
+    const command = process.argv[2] || 'up'
+    const run = command === 'status'
+        ? getMigrationStatus().then(status => console.table(status))
+        : runMigrations()
+
+    run
+        .catch(err => {
+            console.error('migrate.js Error:', err)
+            process.exitCode = 1
+        })
+        .finally(() => require('./db').end())
+}
+
+module.exports = { runMigrations, getMigrationStatus, loadSqliteMigrations, runSqliteMigrations }
@@ -0,0 +1,19 @@
+-- Latest known state of every game, one row per (league, external_game_id).
+CREATE TABLE IF NOT EXISTS games (
+  id               SERIAL PRIMARY KEY,
+  league           TEXT NOT NULL,
+  external_game_id TEXT NOT NULL,
+  link             TEXT,
+  home_team_name   TEXT,
+  home_team_logo   TEXT,
+  home_team_score  INTEGER NOT NULL DEFAULT 0,
+  away_team_name   TEXT,
+  away_team_logo   TEXT,
+  away_team_score  INTEGER NOT NULL DEFAULT 0,
+  start_time       TIMESTAMPTZ NOT NULL,
+  short_detail     TEXT,
+  state            TEXT,
+  CONSTRAINT games_league_external_game_id_key UNIQUE (league, external_game_id)
+);
+
+CREATE INDEX IF NOT EXISTS games_start_time_idx ON games (start_time);
@@ -0,0 +1,17 @@
+-- Team ids, abbreviations, colors and records, venue, broadcasts and neutral-site flag.
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS home_team_id           TEXT,
+  ADD COLUMN IF NOT EXISTS home_team_abbreviation TEXT,
+  ADD COLUMN IF NOT EXISTS home_team_color        TEXT,
+  ADD COLUMN IF NOT EXISTS home_team_alt_color    TEXT,
+  ADD COLUMN IF NOT EXISTS home_team_record       TEXT,
+  ADD COLUMN IF NOT EXISTS away_team_id           TEXT,
+  ADD COLUMN IF NOT EXISTS away_team_abbreviation TEXT,
+  ADD COLUMN IF NOT EXISTS away_team_color        TEXT,
+  ADD COLUMN IF NOT EXISTS away_team_alt_color    TEXT,
+  ADD COLUMN IF NOT EXISTS away_team_record       TEXT,
+  ADD COLUMN IF NOT EXISTS venue_name             TEXT,
+  ADD COLUMN IF NOT EXISTS venue_city             TEXT,
+  ADD COLUMN IF NOT EXISTS venue_state            TEXT,
+  ADD COLUMN IF NOT EXISTS broadcasts             JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS neutral_site           BOOLEAN NOT NULL DEFAULT FALSE;
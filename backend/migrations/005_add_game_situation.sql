@@ -0,0 +1,3 @@
+-- Sport-specific live situation (down & distance, count and runners, ...) while a game is in progress.
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS situation JSONB;
@@ -0,0 +1,12 @@
+-- API keys for the REST API and the WebSocket upgrade. Only the SHA-256 of a key is stored;
+-- key_prefix is its first characters, for recognizing a key in listings.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id              SERIAL PRIMARY KEY,
+  name            TEXT NOT NULL,
+  key_prefix      TEXT NOT NULL,
+  key_hash        TEXT NOT NULL UNIQUE,
+  scopes          TEXT[] NOT NULL DEFAULT '{read}',
+  max_connections INTEGER NOT NULL DEFAULT 5,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at      TIMESTAMPTZ
+);
@@ -0,0 +1,9 @@
+-- Change tracking for conditional and incremental reads. version comes from one sequence across all
+-- games and, like updated_at, only moves when an upsert actually changes the row (see upsertGame).
+CREATE SEQUENCE IF NOT EXISTS games_version_seq AS INTEGER;
+
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS version    INTEGER NOT NULL DEFAULT nextval('games_version_seq'),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS games_version_idx ON games (version);
@@ -0,0 +1,3 @@
+-- The period the provider reports for a game (quarter, half, inning, ...), which period_changed events compare.
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS period INTEGER;
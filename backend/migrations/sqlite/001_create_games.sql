@@ -0,0 +1,20 @@
+-- Latest known state of every game, one row per (league, external_game_id).
+-- SQLite has no timestamp type: start_time is an ISO 8601 string (see storage/sqlite.js).
+CREATE TABLE IF NOT EXISTS games (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  league           TEXT NOT NULL,
+  external_game_id TEXT NOT NULL,
+  link             TEXT,
+  home_team_name   TEXT,
+  home_team_logo   TEXT,
+  home_team_score  INTEGER NOT NULL DEFAULT 0,
+  away_team_name   TEXT,
+  away_team_logo   TEXT,
+  away_team_score  INTEGER NOT NULL DEFAULT 0,
+  start_time       TEXT NOT NULL,
+  short_detail     TEXT,
+  state            TEXT,
+  UNIQUE (league, external_game_id)
+);
+
+CREATE INDEX IF NOT EXISTS games_start_time_idx ON games (start_time);
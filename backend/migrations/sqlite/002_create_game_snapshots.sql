@@ -0,0 +1,14 @@
+-- Score timeline: a row whenever a game's scores, state or short_detail change.
+CREATE TABLE IF NOT EXISTS game_snapshots (
+  id               INTEGER PRIMARY KEY AUTOINCREMENT,
+  league           TEXT NOT NULL,
+  external_game_id TEXT NOT NULL,
+  home_team_score  INTEGER,
+  away_team_score  INTEGER,
+  state            TEXT,
+  short_detail     TEXT,
+  recorded_at      TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS game_snapshots_game_idx
+  ON game_snapshots (league, external_game_id, recorded_at);
@@ -0,0 +1,8 @@
+-- Per-league ingest outcome; stale_since is set while the last good data is being served.
+CREATE TABLE IF NOT EXISTS league_status (
+  league          TEXT PRIMARY KEY,
+  last_success_at TEXT,
+  last_failure_at TEXT,
+  last_error      TEXT,
+  stale_since     TEXT
+);
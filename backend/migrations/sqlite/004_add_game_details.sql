@@ -0,0 +1,17 @@
+-- Team ids, abbreviations, colors and records, venue, broadcasts and neutral-site flag.
+-- broadcasts holds JSON text and neutral_site 0 or 1.
+ALTER TABLE games ADD COLUMN home_team_id           TEXT;
+ALTER TABLE games ADD COLUMN home_team_abbreviation TEXT;
+ALTER TABLE games ADD COLUMN home_team_color        TEXT;
+ALTER TABLE games ADD COLUMN home_team_alt_color    TEXT;
+ALTER TABLE games ADD COLUMN home_team_record       TEXT;
+ALTER TABLE games ADD COLUMN away_team_id           TEXT;
+ALTER TABLE games ADD COLUMN away_team_abbreviation TEXT;
+ALTER TABLE games ADD COLUMN away_team_color        TEXT;
+ALTER TABLE games ADD COLUMN away_team_alt_color    TEXT;
+ALTER TABLE games ADD COLUMN away_team_record       TEXT;
+ALTER TABLE games ADD COLUMN venue_name             TEXT;
+ALTER TABLE games ADD COLUMN venue_city             TEXT;
+ALTER TABLE games ADD COLUMN venue_state            TEXT;
+ALTER TABLE games ADD COLUMN broadcasts             TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE games ADD COLUMN neutral_site           INTEGER NOT NULL DEFAULT 0;
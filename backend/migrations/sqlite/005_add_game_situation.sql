@@ -0,0 +1,2 @@
+-- Sport-specific live situation (down & distance, count and runners, ...) while a game is in progress, as JSON text.
+ALTER TABLE games ADD COLUMN situation TEXT;
@@ -0,0 +1,14 @@
+-- Change tracking for conditional and incremental reads. SQLite has no sequences, so the
+-- games_version counter stands in for games_version_seq (see upsertGameSync in storage/sqlite.js).
+CREATE TABLE IF NOT EXISTS counters (
+  name  TEXT PRIMARY KEY,
+  value INTEGER NOT NULL
+);
+
+ALTER TABLE games ADD COLUMN version    INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE games ADD COLUMN updated_at TEXT NOT NULL DEFAULT '';
+
+UPDATE games SET version = id, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+INSERT OR IGNORE INTO counters (name, value) SELECT 'games_version', COALESCE(MAX(version), 0) FROM games;
+
+CREATE INDEX IF NOT EXISTS games_version_idx ON games (version);
@@ -0,0 +1,2 @@
+-- The period the provider reports for a game (quarter, half, inning, ...), which period_changed events compare.
+ALTER TABLE games ADD COLUMN period INTEGER;
@@ -0,0 +1,110 @@
+// notifier.js carries change notifications from ingest to the WebSocket API. With the postgres backend
+// they travel over NOTIFY/LISTEN, so the ingest worker and any number of API instances can run as
+// separate processes; with sqlite or memory they only reach listeners in the same process.
+//
+// Notifications: { type: 'league_updated', league }     games of a league were replaced
+//                { type: 'game_event', event }          a lifecycle event (see gameEvents.js)
+//                { type: 'league_status', status }      a league went stale or fresh
+//                { type: 'broadcast' }                  resend every client its snapshot (see control.js)
+//                admin_command / admin_result           admin commands for the worker (see control.js)
+const { EventEmitter } = require('events')
+const { backendName } = require('./dbQueries')
+
+const CHANNEL = 'games_changes'
+const MAX_PAYLOAD_BYTES = 7999  // Postgres rejects longer NOTIFY payloads
+const RECONNECT_DELAY_MS = 5000
+
+const crossProcess = backendName === 'postgres'
+const notifications = new EventEmitter()  // Emits 'notification' for everything received in this process
+let listening = false
+
+/**
+ * Announce a change to every listening process. Never throws: a lost
+ * notification is logged, and the next ingest of the league catches clients up.
+ */
+async function publish(notification) {
+    const payload = JSON.stringify(notification)
+
+    if (!crossProcess) {
+        // Deliver asynchronously and as parsed JSON, as a notification from Postgres would arrive
+        setImmediate(() => notifications.emit('notification', JSON.parse(payload)))
+        return
+    }
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+        console.error(`Dropping ${notification.type} notification: ${Buffer.byteLength(payload)} bytes is over the NOTIFY limit`)
+        return
+    }
+
+    try {
+        await require('./db').query('SELECT pg_notify($1, $2)', [CHANNEL, payload])
+    } catch (err) {
+        console.error(`Could not publish ${notification.type} notification:`, err.message)
+    }
+}
+
+function onNotification(handler) {
+    notifications.on('notification', handler)
+}
+
+/**
+ * Hold a dedicated connection that LISTENs on the channel; when it drops, reconnect
+ * and announce every league as updated, since notifications in the gap are lost
+ */
+async function connectListener() {
+    const client = await require('./db').connect()
+    let lost = false
+
+    client.on('notification', (message) => {
+        let notification
+        try {
+            notification = JSON.parse(message.payload)
+        } catch {
+            console.error('Ignoring malformed notification:', message.payload)
+            return
+        }
+        notifications.emit('notification', notification)
+    })
+    client.on('error', (err) => {
+        if (lost) return
+        lost = true
+        console.error('Notification listener lost its connection; reconnecting:', err.message)
+        client.release(err)
+        reconnectListener()
+    })
+
+    try {
+        await client.query(`LISTEN ${CHANNEL}`)
+    } catch (err) {
+        lost = true
+        client.release(err)
+        throw err
+    }
+}
+
+function reconnectListener() {
+    setTimeout(async () => {
+        try {
+            await connectListener()
+            notifications.emit('notification', { type: 'league_updated' })
+        } catch (err) {
+            console.error('Notification listener could not reconnect:', err.message)
+            reconnectListener()
+        }
+    }, RECONNECT_DELAY_MS)
+}
+
+/**
+ * Start receiving notifications from other processes (a no-op without Postgres)
+ */
+async function startListening() {
+    if (!crossProcess || listening) return
+    listening = true
+    await connectListener()
+}
+
+module.exports = {
+    crossProcess,
+    publish,
+    onNotification,
+    startListening
+}
@@ -0,0 +1,269 @@
+// protocol.js defines the versioned WebSocket protocol: the message envelope, error codes and
+// the JSON Schema of every client and server message (published at GET /api/protocol).
+//
+// Every message is an object { v, id?, type, ...fields }. Clients may omit `v` (current version);
+// an `id` sent by the client is echoed on every reply to that message, ending with an `ack`
+// on success or an `error` with a machine-readable `code` on failure. Server messages also
+// carry `seq`, increasing per session, which a reconnecting client passes to `resume`.
+const Ajv = require('ajv')
+const { MAX_TOPICS_PER_CLIENT } = require('./topics')
+const { ADMIN_COMMANDS } = require('./control')
+
+const PROTOCOL_VERSION = 1
+
+const ERROR_CODES = {
+    invalid_json: 'The message is not valid JSON',
+    unsupported_version: 'The message uses a protocol version this server does not speak',
+    unknown_type: 'The message type is not part of the protocol',
+    validation_failed: 'The message does not match its schema or carries invalid values',
+    limit_exceeded: 'The request goes over a per-connection limit',
+    rate_limited: 'Too many messages on this connection; retry after retry_after_ms',
+    forbidden: 'The API key of this connection lacks the scope the message needs',
+    command_failed: 'An admin command failed on the worker, or no worker answered in time',
+    internal: 'The server failed while handling a valid message'
+}
+
+/**
+ * An error to report to the client with one of ERROR_CODES
+ */
+class ProtocolError extends Error {
+    constructor(code, message, details = [], fields = {}) {
+        super(message)
+        this.name = 'ProtocolError'
+        this.code = code
+        this.details = details
+        this.fields = fields  // extra fields for the error message, e.g. retry_after_ms
+    }
+}
+
+const requestId = { type: ['string', 'integer'], minLength: 1, maxLength: 64 }
+const nullableString = { type: ['string', 'null'] }
+const teamScores = {
+    type: 'object',
+    properties: { home: { type: ['integer', 'null'] }, away: { type: ['integer', 'null'] } },
+    required: ['home', 'away']
+}
+
+// A games row as stored (see storage/common.js gameToRow); only its identity is pinned down
+const game = {
+    type: 'object',
+    properties: {
+        id: { type: ['integer', 'string'] },
+        league: { type: 'string' },
+        external_game_id: { type: 'string' }
+    },
+    required: ['id', 'league', 'external_game_id']
+}
+const games = { type: 'array', items: game }
+
+/**
+ * Schema of one message type: envelope fields plus its own fields
+ */
+function messageSchema(type, properties = {}, required = [], envelopeRequired = []) {
+    return {
+        type: 'object',
+        properties: {
+            v: { type: 'integer' },
+            id: requestId,
+            type: { const: type },
+            timestamp: { type: 'number' },
+            ...properties
+        },
+        required: ['type', ...envelopeRequired, ...required],
+        additionalProperties: false
+    }
+}
+
+function clientMessage(type, properties, required) {
+    return messageSchema(type, properties, required)
+}
+
+function serverMessage(type, properties, required = Object.keys(properties)) {
+    // seq numbers every message on a client session (see sessions.js)
+    return messageSchema(type, { seq: { type: 'integer' }, ...properties }, required, ['v', 'seq', 'timestamp'])
+}
+
+const topicList = {
+    type: 'array',
+    items: { type: 'string', maxLength: 64 },
+    minItems: 1,
+    maxItems: MAX_TOPICS_PER_CLIENT
+}
+
+const clientMessages = {
+    connection: clientMessage('connection'),
+    filter_request: clientMessage('filter_request', {
+        // Legacy array of league names / state_<state> keys, or a structured filter (see filters.js)
+        filters: { type: ['array', 'object', 'null'], items: { type: 'string' } }
+    }),
+    snapshot_request: clientMessage('snapshot_request'),
+    subscribe: clientMessage('subscribe', { topics: topicList }, ['topics']),
+    unsubscribe: clientMessage('unsubscribe', { topics: topicList }, ['topics']),
+    leagues_request: clientMessage('leagues_request'),
+    timeline_request: clientMessage('timeline_request', {
+        league: { type: 'string', minLength: 1 },
+        external_game_id: { type: ['string', 'integer'], minLength: 1 }
+    }, ['league', 'external_game_id']),
+    resume: clientMessage('resume', {
+        session_id: { type: 'string', minLength: 1, maxLength: 64 },
+        last_seq: { type: 'integer', minimum: 0 }
+    }, ['session_id', 'last_seq']),
+    ping: clientMessage('ping', { client_time: { type: 'number' } }, ['client_time']),
+    // Needs a key with the admin scope; see control.js for the commands and their arguments
+    admin_command: clientMessage('admin_command', {
+        command: { enum: ADMIN_COMMANDS },
+        leagues: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        league: { type: 'string', minLength: 1 }
+    }, ['command']),
+    user_message: clientMessage('user_message', { message: { type: 'string', maxLength: 1000 } }, ['message']),
+    test_request: clientMessage('test_request')
+}
+
+// Fields shared by the lifecycle events detected in gameEvents.js
+const gameEventFields = {
+    league: { type: 'string' },
+    external_game_id: { type: 'string' },
+    home_team_id: nullableString,
+    home_team_name: nullableString,
+    home_team_abbreviation: nullableString,
+    away_team_id: nullableString,
+    away_team_name: nullableString,
+    away_team_abbreviation: nullableString,
+    state: nullableString,
+    short_detail: nullableString
+}
+const gameEventRequired = ['league', 'external_game_id', 'state']
+
+const serverMessages = {
+    welcome: serverMessage('welcome', { session_id: { type: 'string' }, message: { type: 'string' } }),
+    resumed: serverMessage('resumed', {
+        session_id: { type: 'string' },
+        last_seq: { type: 'integer' },
+        replayed: { type: 'integer' }
+    }),
+    snapshot_required: serverMessage('snapshot_required', { session_id: { type: 'string' }, reason: { type: 'string' } }),
+    ack: serverMessage('ack', { request_type: { type: 'string' } }),
+    error: serverMessage('error', {
+        code: { enum: Object.keys(ERROR_CODES) },
+        message: { type: 'string' },
+        details: { type: 'array', items: { type: 'string' } },
+        request_type: { type: 'string' },
+        retry_after_ms: { type: 'integer' }
+    }, ['code', 'message']),
+    leagues: serverMessage('leagues', { data: { type: 'array', items: { type: 'object' } } }),
+    filtered_data: serverMessage('filtered_data', {
+        data: games,
+        filters: { type: ['array', 'object', 'null'] },
+        count: { type: 'integer' },
+        stale_since: { type: 'object', additionalProperties: { type: 'string' } },
+        message: { type: 'string' }
+    }),
+    subscribed: serverMessage('subscribed', {
+        topics: { type: 'array', items: { type: 'string' } },
+        added: { type: 'array', items: { type: 'string' } },
+        data: games,
+        count: { type: 'integer' }
+    }),
+    unsubscribed: serverMessage('unsubscribed', {
+        topics: { type: 'array', items: { type: 'string' } },
+        removed: { type: 'array', items: { type: 'string' } }
+    }),
+    timeline: serverMessage('timeline', {
+        league: { type: 'string' },
+        external_game_id: { type: 'string' },
+        data: { type: 'array', items: { type: 'object' } },
+        count: { type: 'integer' }
+    }),
+    pong: serverMessage('pong', { client_time: { type: 'number' }, server_time: { type: 'number' } }),
+    admin_result: serverMessage('admin_result', { command: { type: 'string' }, result: { type: 'object' } }),
+    echo: serverMessage('echo', { original_message: { type: 'string' }, message: { type: 'string' } }),
+    new_data: serverMessage('new_data', { data: { type: 'object' } }),
+    game_added: serverMessage('game_added', { game }),
+    game_changed: serverMessage('game_changed', {
+        game_id: { type: ['integer', 'string'] },
+        league: { type: 'string' },
+        external_game_id: { type: 'string' },
+        changes: { type: 'object', minProperties: 1 }
+    }),
+    game_removed: serverMessage('game_removed', {
+        game_id: { type: ['integer', 'string'] },
+        league: { type: 'string' },
+        external_game_id: { type: 'string' }
+    }),
+    league_status: serverMessage('league_status', {
+        league: { type: 'string' },
+        stale_since: nullableString,
+        last_success_at: nullableString,
+        last_error: nullableString
+    }, ['league', 'stale_since']),
+    game_started: serverMessage('game_started', gameEventFields, gameEventRequired),
+    score_changed: serverMessage('score_changed', {
+        ...gameEventFields,
+        old_score: teamScores,
+        new_score: teamScores
+    }, [...gameEventRequired, 'old_score', 'new_score']),
+    period_changed: serverMessage('period_changed', {
+        ...gameEventFields,
+        old_period: { type: 'integer' },
+        new_period: { type: 'integer' }
+    }, [...gameEventRequired, 'old_period', 'new_period']),
+    game_final: serverMessage('game_final', gameEventFields, gameEventRequired)
+}
+
+/**
+ * The document served at GET /api/protocol
+ */
+const protocolSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Games API WebSocket protocol',
+    version: PROTOCOL_VERSION,
+    errorCodes: ERROR_CODES,
+    clientMessages,
+    serverMessages
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+const clientValidators = new Map(Object.entries(clientMessages).map(([type, schema]) => [type, ajv.compile(schema)]))
+const serverValidators = new Map(Object.entries(serverMessages).map(([type, schema]) => [type, ajv.compile(schema)]))
+
+function describeErrors(errors) {
+    return errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+}
+
+/**
+ * Check an inbound message against the protocol; throws ProtocolError if it does not conform
+ */
+function validateClientMessage(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ProtocolError('validation_failed', 'Message must be a JSON object')
+    }
+    if (data.v !== undefined && data.v !== PROTOCOL_VERSION) {
+        throw new ProtocolError('unsupported_version', `Unsupported protocol version ${JSON.stringify(data.v)}; this server speaks v${PROTOCOL_VERSION}`)
+    }
+
+    const validate = clientValidators.get(data.type)
+    if (!validate) {
+        throw new ProtocolError('unknown_type', `Unknown message type: ${JSON.stringify(data.type)}`)
+    }
+    if (!validate(data)) {
+        throw new ProtocolError('validation_failed', `Invalid ${data.type} message`, describeErrors(validate.errors))
+    }
+}
+
+/**
+ * Check an outbound message against the protocol; returns a list of problems, empty when it conforms
+ */
+function validateServerMessage(message) {
+    const validate = serverValidators.get(message.type)
+    if (!validate) return [`unknown server message type ${JSON.stringify(message.type)}`]
+    return validate(message) ? [] : describeErrors(validate.errors)
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    ProtocolError,
+    protocolSchema,
+    validateClientMessage,
+    validateServerMessage
+}
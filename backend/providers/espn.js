@@ -0,0 +1,178 @@
+// espn.js is the ESPN score provider: it fetches a league's scoreboard and normalizes it into the shape upsertGame expects.
+const axios = require('axios')
+const { recordCapture } = require('../captures')
+
+// A scoreboard request that takes longer fails, so ingest marks the league stale and moves on
+const FETCH_TIMEOUT_MS = Number(process.env.ESPN_TIMEOUT_MS) || 10000
+
+/**
+ * Format a Date as the YYYYMMDD key ESPN (and fixture files) use for a scoreboard day.
+ */
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '')
+}
+
+/**
+ * Normalize one ESPN competitor into our team shape.
+ */
+function normalizeTeam(competitor) {
+  const team = competitor?.team || {}
+  const record = competitor?.records?.find(r => r.type === 'total') || competitor?.records?.[0]
+
+  return {
+    id: team.id || null,
+    name: team.shortDisplayName || 'TBD',
+    abbreviation: team.abbreviation || null,
+    logo: team.logo || null,
+    color: team.color || null,
+    altColor: team.alternateColor || null,
+    record: record?.summary || null,
+    score: parseInt(competitor?.score, 10) || 0,
+  }
+}
+
+/**
+ * Where to watch: prefer geoBroadcasts (TV vs streaming, market), fall back
+ * to the plain broadcasts list which only carries network names.
+ */
+function normalizeBroadcasts(competition) {
+  if (competition.geoBroadcasts?.length) {
+    return competition.geoBroadcasts.map(b => ({
+      name: b.media?.shortName || null,
+      type: b.type?.shortName || null,
+      market: b.market?.type || null,
+    })).filter(b => b.name)
+  }
+
+  return (competition.broadcasts || []).flatMap(b =>
+    (b.names || []).map(name => ({ name, type: 'TV', market: b.market || null }))
+  )
+}
+
+/**
+ * Which side ('home' / 'away') a team id in the situation block refers to.
+ */
+function sideOf(teamId, home, away) {
+  if (!teamId) return null
+  if (String(teamId) === String(home?.team?.id)) return 'home'
+  if (String(teamId) === String(away?.team?.id)) return 'away'
+  return null
+}
+
+/**
+ * Parse ESPN's live situation block into a sport-specific shape. Only games
+ * in progress have one. The sport comes from the league registry.
+ */
+function normalizeSituation(league, competition, home, away) {
+  const situation = competition.situation
+  const sport = league.sport
+  if (!situation || !sport) return null
+
+  switch (sport) {
+    case 'football':
+      return {
+        sport,
+        down: situation.down ?? null,
+        distance: situation.distance ?? null,
+        yardLine: situation.yardLine ?? null,
+        downDistanceText: situation.shortDownDistanceText || situation.downDistanceText || null,
+        possession: sideOf(situation.possession, home, away),
+        isRedZone: Boolean(situation.isRedZone),
+        homeTimeouts: situation.homeTimeouts ?? null,
+        awayTimeouts: situation.awayTimeouts ?? null,
+      }
+    case 'baseball':
+      return {
+        sport,
+        balls: situation.balls ?? 0,
+        strikes: situation.strikes ?? 0,
+        outs: situation.outs ?? 0,
+        onFirst: Boolean(situation.onFirst),
+        onSecond: Boolean(situation.onSecond),
+        onThird: Boolean(situation.onThird),
+        batter: situation.batter?.athlete?.shortName || null,
+        pitcher: situation.pitcher?.athlete?.shortName || null,
+      }
+    case 'hockey': {
+      // The hockey block is sparse; power play details may sit on the situation or the competitors
+      const powerPlayTeam = situation.powerPlay?.team?.id || situation.powerPlayTeamId ||
+        competition.competitors?.find(c => c.powerPlay)?.team?.id
+      return {
+        sport,
+        powerPlay: sideOf(powerPlayTeam, home, away),
+        strength: situation.strength || situation.powerPlay?.strength || null,
+      }
+    }
+    case 'basketball':
+      return {
+        sport,
+        homeTimeouts: situation.homeTimeouts ?? null,
+        awayTimeouts: situation.awayTimeouts ?? null,
+        homeBonus: situation.homeFouls?.bonusState || null,
+        awayBonus: situation.awayFouls?.bonusState || null,
+        homeTeamFouls: situation.homeFouls?.teamFoulsCurrent ?? null,
+        awayTeamFouls: situation.awayFouls?.teamFoulsCurrent ?? null,
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Transform an ESPN scoreboard payload into normalized games for the given league.
+ * Home/away come from each competitor's homeAway field, not its position.
+ */
+function normalizeScoreboard(league, data) {
+  if (!Array.isArray(data?.events)) {
+    throw new Error(`Malformed ${league.name} scoreboard: no events array`)
+  }
+  const games = data.events
+
+  return games.map(game => {
+    const competition = game?.competitions?.[0] || {}
+    const competitors = competition.competitors || []
+    const home = competitors.find(c => c.homeAway === 'home') || competitors[0]
+    const away = competitors.find(c => c.homeAway === 'away') || competitors.find(c => c !== home)
+    const state = game.status?.type?.state || 'N/A'
+
+    return {
+      league: league.name,
+      externalGameId: game.id,
+      link: game.links?.[0]?.href || null,
+      homeTeam: normalizeTeam(home),
+      awayTeam: normalizeTeam(away),
+      venue: {
+        name: competition.venue?.fullName || null,
+        city: competition.venue?.address?.city || null,
+        state: competition.venue?.address?.state || null,
+      },
+      broadcasts: normalizeBroadcasts(competition),
+      neutralSite: Boolean(competition.neutralSite),
+      startTime: new Date(game.date).toISOString(),
+      shortDetail: game.status?.type?.shortDetail || 'N/A',
+      period: game.status?.period ?? null,
+      state,
+      situation: state === 'in' ? normalizeSituation(league, competition, home, away) : null,
+    }
+  })
+}
+
+/**
+ * Fetch the scoreboard for a league (and optional date) from ESPN.
+ * With RECORD_DIR set, the raw response is also captured for replay; a failed
+ * capture is only logged.
+ */
+async function fetchScoreboard(league, date) {
+  const url = `${process.env.ESPN_API_URL}/${league.slug}/scoreboard${date ? `?dates=${toDateKey(date)}` : ''}`
+
+  const response = await axios.get(url, { timeout: FETCH_TIMEOUT_MS })
+  try {
+    await recordCapture(league, url, response.data)
+  } catch (err) {
+    // Recording is for debugging; it must not cost the league its live data
+    console.error(`Could not record ${league.name} capture:`, err.message)
+  }
+  return normalizeScoreboard(league, response.data)
+}
+
+module.exports = { name: 'espn', fetchScoreboard, normalizeScoreboard, toDateKey }
@@ -0,0 +1,32 @@
+// fixture.js is an offline score provider that reads ESPN-shaped scoreboard payloads from JSON files on disk.
+const fs = require('fs/promises')
+const path = require('path')
+const { normalizeScoreboard, toDateKey } = require('./espn')
+
+const fixtureDir = () => process.env.FIXTURE_DIR || path.join(__dirname, '..', 'fixtures')
+
+/**
+ * Read the fixture for a league. A dated file (<dir>/<LEAGUE>/<YYYYMMDD>.json)
+ * wins over the league default (<dir>/<LEAGUE>.json). A league without any
+ * fixture simply has no games.
+ */
+async function fetchScoreboard(league, date) {
+  const candidates = [
+    date && path.join(fixtureDir(), league.name, `${toDateKey(date)}.json`),
+    path.join(fixtureDir(), `${league.name}.json`),
+  ].filter(Boolean)
+
+  for (const file of candidates) {
+    try {
+      const contents = await fs.readFile(file, 'utf8')
+      return normalizeScoreboard(league, JSON.parse(contents))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+
+  console.warn(`No fixture found for ${league.name} in ${fixtureDir()}; returning no games.`)
+  return []
+}
+
+module.exports = { name: 'fixture', fetchScoreboard }
@@ -0,0 +1,27 @@
+// providers/index.js resolves which score provider serves a league.
+const espn = require('./espn')
+const fixture = require('./fixture')
+const replay = require('./replay')
+
+const providers = {
+  [espn.name]: espn,
+  [fixture.name]: fixture,
+  [replay.name]: replay,
+}
+
+/**
+ * Every provider implements fetchScoreboard(league, date?) and resolves to
+ * normalized games. SCORE_PROVIDER overrides the per-league setting, e.g.
+ * SCORE_PROVIDER=fixture to run the whole backend offline, or
+ * SCORE_PROVIDER=replay to serve recorded captures (see replay.js).
+ */
+function getProvider(league) {
+  const name = process.env.SCORE_PROVIDER || league.provider || espn.name
+  const provider = providers[name]
+  if (!provider) {
+    throw new Error(`Unknown score provider "${name}" for league ${league.name}`)
+  }
+  return provider
+}
+
+module.exports = { getProvider }
@@ -0,0 +1,53 @@
+// replay.js is a score provider that serves recorded ESPN captures according to a (possibly sped-up) replay clock.
+const { listCaptures, readCapture } = require('../captures')
+const { normalizeScoreboard } = require('./espn')
+
+/**
+ * Virtual clock mapping real elapsed time onto the recorded timeline.
+ * If nothing starts it explicitly, it starts at the first capture seen,
+ * running at REPLAY_SPEED (default 1x).
+ */
+const replayClock = {
+  startAt: null,
+  realStart: null,
+  speed: 1,
+
+  start(startAt, speed = Number(process.env.REPLAY_SPEED) || 1) {
+    this.startAt = startAt.getTime()
+    this.realStart = Date.now()
+    this.speed = speed
+  },
+
+  isStarted() {
+    return this.startAt !== null
+  },
+
+  now() {
+    return new Date(this.startAt + (Date.now() - this.realStart) * this.speed)
+  },
+}
+
+/**
+ * Serve the latest capture for the league recorded at or before the replay clock.
+ */
+async function fetchScoreboard(league) {
+  const captures = await listCaptures(league.name)
+  if (captures.length === 0) {
+    console.warn(`No captures found for ${league.name}; returning no games.`)
+    return []
+  }
+
+  if (!replayClock.isStarted()) {
+    const startAt = process.env.REPLAY_START ? new Date(process.env.REPLAY_START) : captures[0].recordedAt
+    replayClock.start(startAt)
+  }
+
+  const now = replayClock.now()
+  const current = captures.filter(c => c.recordedAt <= now).pop()
+  if (!current) return []
+
+  const { data } = await readCapture(current)
+  return normalizeScoreboard(league, data)
+}
+
+module.exports = { name: 'replay', fetchScoreboard, replayClock }
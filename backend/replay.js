@@ -0,0 +1,48 @@
+// replay.js feeds recorded scoreboard captures back through ingest -> upsertGame -> notifier -> WebSocket clients.
+//
+// Record:  RECORD_DIR=./captures node server.js
+// Replay:  REPLAY_DIR=./captures REPLAY_SPEED=10 node replay.js
+//
+// Each capture is ingested when the replay clock reaches the time it was recorded. The
+// scheduler (dailySchedule.js) is not run: its jobs fire on the wall clock, not the replay clock.
+// SCORE_PROVIDER=replay node server.js also serves captures, to the normal wall-clock schedule.
+process.env.SCORE_PROVIDER = 'replay'
+
+const { startApiServer } = require('./api')
+const { ingestData } = require('./ingest')
+const { initStorage } = require('./dbQueries')
+const { listCaptures } = require('./captures')
+const { replayClock } = require('./providers/replay')
+const { getLeague } = require('./leagueConfigs')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+async function main() {
+    const captures = await listCaptures()
+    if (captures.length === 0) {
+        console.log('❌ No captures found. Record some with RECORD_DIR first.')
+        return
+    }
+
+    await initStorage()
+    await startApiServer(Number(process.env.PORT) || 4000)
+
+    const startAt = process.env.REPLAY_START ? new Date(process.env.REPLAY_START) : captures[0].recordedAt
+    replayClock.start(startAt)
+    console.log(`⏪ Replaying ${captures.length} captures from ${startAt.toISOString()} at ${replayClock.speed}x`)
+
+    for (const capture of captures) {
+        if (capture.recordedAt < startAt) continue
+
+        const wait = (capture.recordedAt - replayClock.now()) / replayClock.speed
+        if (wait > 0) await sleep(wait)
+
+        const league = getLeague(capture.league) || { name: capture.league, slug: null }
+        console.log(`[Replay ${replayClock.now().toISOString()}] ${capture.league}`)
+        await ingestData([league])
+    }
+
+    console.log('✅ Replay complete.')
+}
+
+main().catch(err => console.error('replay.js Error:', err))
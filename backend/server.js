@@ -1,32 +1,68 @@
 // server.js is the main entry point for the backend. It orchestrates the ingest and daily schedule checks.
+//
+// The role (first argument, or SERVER_ROLE) picks what this process runs:
+//   all     the API and the ingest worker together (default)
+//   api     only the REST/WebSocket API; run as many as needed
+//   worker  only ingest and the schedulers; run exactly one
+// Split roles need the postgres backend, whose LISTEN/NOTIFY carries changes between them (see notifier.js).
 const schedule = require('node-schedule')
-const { startApiServer, broadcastUpdatedGames } = require('./api') 
+const { startApiServer } = require('./api')
 const { ingestData } = require('./ingest')
-const { runDailySchedule } = require('./dailySchedule')
+const { runDailySchedule, isPollingPaused } = require('./dailySchedule')
+const { serveCommands } = require('./control')
+const { initStorage } = require('./dbQueries')
+const { crossProcess } = require('./notifier')
+const { schedulerJobRuns, startMetricsServer } = require('./metrics')
 
-async function main() {
-    console.log('📌 server.js started. Will check for updates hourly (at :00) plus any dynamic jobs.')
+const ROLES = ['all', 'api', 'worker']
 
-    // 1. Start Express API on port 4000
-    await startApiServer(4000)
+async function startWorker() {
+    // Admin commands from the API (see control.js) need the worker, which owns the jobs
+    await serveCommands()
 
-    // 2. Run initial ESPN ingest
+    // 2. Run initial ESPN ingest; it notifies the API, which pushes the changes to WebSocket clients
     console.log('Starting ESPN ingest...')
     await ingestData()
 
-    // After ingest, broadcast updated data to all WebSocket clients
-    await broadcastUpdatedGames()
-
     // 3. Run daily schedule check
     console.log('Starting daily schedule check...')
     await runDailySchedule()
 
     // 4. Schedule hourly runs at :00 of every hour
     schedule.scheduleJob('0 * * * *', async () => {
+        if (isPollingPaused()) {
+            console.log('[HourlySchedule] Polling is paused; skipping hourly check.')
+            return
+        }
         console.log('[HourlySchedule] Running hourly check...')
-        await ingestData()
-        await runDailySchedule()
+        try {
+            await ingestData()
+            await runDailySchedule()
+            schedulerJobRuns.inc({ job: 'hourly_ingest', outcome: 'success' })
+        } catch (err) {
+            console.error('Error in hourly check:', err)
+            schedulerJobRuns.inc({ job: 'hourly_ingest', outcome: 'error' })
+        }
     })
 }
 
-main().catch(err => console.error('server.js Error:', err))
\ No newline at end of file
+async function main() {
+    const role = process.argv[2] || process.env.SERVER_ROLE || 'all'
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}" (expected ${ROLES.join(', ')})`)
+    if (role !== 'all' && !crossProcess) {
+        throw new Error(`The ${role} role needs STORAGE_BACKEND=postgres to reach the other processes`)
+    }
+    console.log(`📌 server.js started as ${role}.${role === 'api' ? '' : ' Will check for updates hourly (at :00) plus any dynamic jobs.'}`)
+
+    // 0. Prepare storage (Postgres: apply pending migrations)
+    await initStorage()
+
+    // 1. Start Express API on PORT (default 4000)
+    if (role !== 'worker') await startApiServer(Number(process.env.PORT) || 4000)
+    // Without the API, /metrics gets a port of its own
+    else await startMetricsServer(Number(process.env.METRICS_PORT) || 9464)
+
+    if (role !== 'api') await startWorker()
+}
+
+main().catch(err => console.error('server.js Error:', err))
@@ -0,0 +1,90 @@
+// sessions.js keeps client sessions, carried by a WebSocket or an SSE stream. Every server message on
+// a session is numbered (seq), pushes are kept in a bounded replay buffer, and the session outlives its
+// connection for SESSION_TTL_MS so a reconnecting client can `resume` it and receive what it missed.
+const { randomUUID } = require('crypto')
+
+const SESSION_TTL_MS = Number(process.env.WS_SESSION_TTL_MS) || 120000
+const REPLAY_BUFFER_SIZE = Number(process.env.WS_REPLAY_BUFFER_SIZE) || 500
+
+const sessions = new Map()  // Map session id to session
+
+/**
+ * Start a session for a newly connected socket, or an SSE response (see sse.js)
+ */
+function createSession(ws, stream = null) {
+    const session = {
+        id: randomUUID(),
+        ws,  // null while detached or carried by an SSE stream
+        stream,  // the SSE response carrying the session instead of a socket
+        seq: 0,  // seq of the last message sent on this session
+        buffer: [],  // recent pushes as { seq, text }, oldest first
+        evictedThrough: 0,  // seq of the newest push dropped from the buffer
+        expiryTimer: null
+    }
+    sessions.set(session.id, session)
+    return session
+}
+
+function getSession(id) {
+    return sessions.get(id) || null
+}
+
+function nextSeq(session) {
+    session.seq += 1
+    return session.seq
+}
+
+/**
+ * Keep a serialized push for replay, dropping the oldest beyond REPLAY_BUFFER_SIZE
+ */
+function recordPush(session, seq, text) {
+    session.buffer.push({ seq, text })
+    if (session.buffer.length > REPLAY_BUFFER_SIZE) {
+        session.evictedThrough = session.buffer.shift().seq
+    }
+}
+
+/**
+ * The pushes a client that last saw `lastSeq` has missed, or null if some
+ * of them are no longer buffered (or lastSeq was never sent)
+ */
+function missedSince(session, lastSeq) {
+    if (lastSeq < session.evictedThrough || lastSeq > session.seq) return null
+    return session.buffer.filter(entry => entry.seq > lastSeq).map(entry => entry.text)
+}
+
+/**
+ * The connection went away: keep the session for SESSION_TTL_MS, then call onExpire
+ */
+function detachSession(session, onExpire) {
+    session.ws = null
+    session.stream = null
+    clearTimeout(session.expiryTimer)
+    session.expiryTimer = setTimeout(() => onExpire(session), SESSION_TTL_MS)
+    session.expiryTimer.unref()
+}
+
+function attachSession(session, ws, stream = null) {
+    clearTimeout(session.expiryTimer)
+    session.expiryTimer = null
+    session.ws = ws
+    session.stream = stream
+}
+
+function deleteSession(session) {
+    clearTimeout(session.expiryTimer)
+    sessions.delete(session.id)
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    REPLAY_BUFFER_SIZE,
+    createSession,
+    getSession,
+    nextSeq,
+    recordPush,
+    missedSince,
+    detachSession,
+    attachSession,
+    deleteSession
+}
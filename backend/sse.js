@@ -0,0 +1,64 @@
+// sse.js holds the wire format of GET /api/stream, which carries the same client sessions and messages
+// as /ws over Server-Sent Events for clients behind proxies that break WebSockets. Each server message
+// is one unnamed event whose data is the message JSON and whose id is `<session_id>:<seq>`, so a
+// browser EventSource reconnects with Last-Event-ID and resumes its session.
+const { FilterValidationError, filterFromQuery, queryList } = require('./filters')
+const { parseTopics, MAX_TOPICS_PER_CLIENT } = require('./topics')
+
+// Comment lines keep proxies from timing out an idle stream
+const SSE_KEEPALIVE_MS = Number(process.env.SSE_KEEPALIVE_MS) || 15000
+const SSE_RETRY_MS = 3000  // how soon an EventSource reconnects after the stream drops
+
+/**
+ * Send the event-stream headers and the reconnect delay
+ */
+function openStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'  // stop nginx from buffering the stream
+    })
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`)
+}
+
+/**
+ * Write one serialized server message (as deliver() produces it) as an event
+ */
+function writeEvent(res, sessionId, seq, text) {
+    res.write(`id: ${sessionId}:${seq}\ndata: ${text}\n\n`)
+}
+
+function writeKeepalive(res) {
+    res.write(': keepalive\n\n')
+}
+
+/**
+ * Split a Last-Event-ID into the session and the seq of the last message
+ * the client received; null if it is missing or not one of ours
+ */
+function parseEventId(value) {
+    const match = /^([0-9a-f-]{36}):(\d+)$/.exec(value || '')
+    return match ? { sessionId: match[1], lastSeq: Number(match[2]) } : null
+}
+
+/**
+ * The filter (see filters.filterFromQuery) and topics (?topics=league:NFL,team:NBA:13)
+ * a stream asks for; throws FilterValidationError
+ */
+function subscriptionFromQuery(query) {
+    const filter = filterFromQuery(query)
+    const { topics, invalid } = parseTopics(query.topics === undefined ? [] : queryList(query.topics))
+    if (invalid.length > 0) throw new FilterValidationError([`invalid topic(s): ${invalid.join(', ')}`])
+    if (topics.length > MAX_TOPICS_PER_CLIENT) throw new FilterValidationError([`at most ${MAX_TOPICS_PER_CLIENT} topics per connection`])
+    return { filter, topics }
+}
+
+module.exports = {
+    SSE_KEEPALIVE_MS,
+    openStream,
+    writeEvent,
+    writeKeepalive,
+    parseEventId,
+    subscriptionFromQuery
+}
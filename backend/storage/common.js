@@ -0,0 +1,74 @@
+// common.js holds helpers shared by the non-Postgres storage backends so they behave like the SQL in postgres.js.
+
+const excludedStates = ['post', 'completed', 'final'];
+
+/**
+ * JS equivalent of postgres.js getTimeInfo(): today runs from midnight CST
+ * (06:00 UTC) of the current UTC date to the same time tomorrow.
+ */
+function getTimeInfo(now = new Date()) {
+  const currentDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 6));
+  const nextDay = new Date(currentDay.getTime() + 24 * 60 * 60_000);
+
+  return { currentDay, nextDay };
+}
+
+/**
+ * Map a normalized game (ingest shape) onto the "games" row columns.
+ */
+function gameToRow(game) {
+  return {
+    league: game.league,
+    external_game_id: game.externalGameId,
+    link: game.link,
+    home_team_name: game.homeTeam.name,
+    home_team_logo: game.homeTeam.logo,
+    home_team_score: game.homeTeam.score,
+    away_team_name: game.awayTeam.name,
+    away_team_logo: game.awayTeam.logo,
+    away_team_score: game.awayTeam.score,
+    start_time: new Date(game.startTime),
+    short_detail: game.shortDetail,
+    state: game.state,
+    home_team_id: game.homeTeam.id ?? null,
+    home_team_abbreviation: game.homeTeam.abbreviation ?? null,
+    home_team_color: game.homeTeam.color ?? null,
+    home_team_alt_color: game.homeTeam.altColor ?? null,
+    home_team_record: game.homeTeam.record ?? null,
+    away_team_id: game.awayTeam.id ?? null,
+    away_team_abbreviation: game.awayTeam.abbreviation ?? null,
+    away_team_color: game.awayTeam.color ?? null,
+    away_team_alt_color: game.awayTeam.altColor ?? null,
+    away_team_record: game.awayTeam.record ?? null,
+    venue_name: game.venue?.name ?? null,
+    venue_city: game.venue?.city ?? null,
+    venue_state: game.venue?.state ?? null,
+    broadcasts: game.broadcasts || [],
+    neutral_site: Boolean(game.neutralSite),
+    situation: game.situation ?? null,
+    period: game.period ?? null,
+  };
+}
+
+/**
+ * Same ordering as getAllGames in postgres.js: live games first, then
+ * league, start time and external id.
+ */
+function compareAllGames(a, b) {
+  return (a.state === 'in' ? 1 : 2) - (b.state === 'in' ? 1 : 2) ||
+    a.league.localeCompare(b.league) ||
+    a.start_time - b.start_time ||
+    a.external_game_id.localeCompare(b.external_game_id);
+}
+
+function compareByStartTime(a, b) {
+  return a.start_time - b.start_time;
+}
+
+module.exports = {
+  excludedStates,
+  getTimeInfo,
+  gameToRow,
+  compareAllGames,
+  compareByStartTime,
+};
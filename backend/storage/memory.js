@@ -0,0 +1,236 @@
+// memory.js is an in-process storage backend for local runs and tests. Nothing survives a restart.
+const {
+  excludedStates,
+  getTimeInfo,
+  gameToRow,
+  compareAllGames,
+  compareByStartTime,
+} = require('./common');
+const { matchesFilter, compareGames } = require('../filters');
+
+const games = new Map(); // `${league}:${external_game_id}` -> row
+const snapshots = new Map(); // `${league}:${external_game_id}` -> that game's timeline, oldest first
+const leagueStatus = new Map();
+const apiKeys = new Map(); // id -> key row, including key_hash
+let nextGameId = 1;
+let nextVersion = 1; // like games_version_seq in Postgres
+let nextApiKeyId = 1;
+
+// Hand out copies so callers can't mutate stored rows
+const copy = (row) => structuredClone(row);
+const keyOf = (league, externalGameId) => `${league}:${externalGameId}`;
+
+async function init() {}
+
+async function clearTable(leaguesToIngest) {
+  const leagueNames = leaguesToIngest.map(league => league.name);
+  for (const [key, row] of games) {
+    if (leagueNames.includes(row.league)) games.delete(key);
+  }
+}
+
+// Synchronous, so replaceLeagueGames can write a whole league without yielding
+function upsertGameSync(game) {
+  const row = gameToRow(game);
+  const key = keyOf(row.league, row.external_game_id);
+  const existing = games.get(key);
+
+  // An existing row only gets a new version and updated_at when some column changed
+  const changed = !existing ||
+    Object.keys(row).some(column => JSON.stringify(existing[column]) !== JSON.stringify(row[column]));
+  if (changed) {
+    games.set(key, { id: existing ? existing.id : nextGameId++, ...row, version: nextVersion++, updated_at: new Date() });
+  }
+  recordGameSnapshot(row);
+}
+
+async function upsertGame(game) {
+  upsertGameSync(game);
+}
+
+/**
+ * Append a timeline row unless nothing it tracks changed since the latest one.
+ */
+function recordGameSnapshot(row) {
+  const key = keyOf(row.league, row.external_game_id);
+  if (!snapshots.has(key)) snapshots.set(key, []);
+  const timeline = snapshots.get(key);
+  const latest = timeline[timeline.length - 1];
+  const unchanged = latest &&
+    latest.home_team_score === row.home_team_score &&
+    latest.away_team_score === row.away_team_score &&
+    latest.state === row.state &&
+    latest.short_detail === row.short_detail;
+  if (unchanged) return;
+
+  timeline.push({
+    home_team_score: row.home_team_score,
+    away_team_score: row.away_team_score,
+    state: row.state,
+    short_detail: row.short_detail,
+    recorded_at: new Date(),
+  });
+}
+
+/**
+ * Nothing is awaited between the first write and the last, so no other
+ * caller can observe a half-replaced league. Resolves to the league's rows
+ * from just before the replace, like postgres.js.
+ */
+async function replaceLeagueGames(leagueName, leagueGames, startUpsert = () => () => {}) {
+  const rows = leagueGames.map(gameToRow); // throws before anything is written
+  const keep = new Set(rows.map(row => row.external_game_id));
+  const previous = [...games.values()].filter(row => row.league === leagueName).sort(compareByStartTime).map(copy);
+
+  for (const game of leagueGames) {
+    const upserted = startUpsert();
+    upsertGameSync(game);
+    upserted();
+  }
+  for (const [key, row] of games) {
+    if (row.league === leagueName && !keep.has(row.external_game_id)) games.delete(key);
+  }
+  return previous;
+}
+
+async function getGameTimeline(leagueName, externalGameId) {
+  return (snapshots.get(keyOf(leagueName, externalGameId)) || []).map(copy);
+}
+
+async function markLeagueFresh(leagueName) {
+  const status = { ...emptyStatus(leagueName), ...leagueStatus.get(leagueName), last_success_at: new Date(), stale_since: null };
+  leagueStatus.set(leagueName, status);
+  return copy(status);
+}
+
+async function markLeagueStale(leagueName, errorMessage) {
+  const previous = { ...emptyStatus(leagueName), ...leagueStatus.get(leagueName) };
+  const status = {
+    ...previous,
+    last_failure_at: new Date(),
+    last_error: errorMessage,
+    stale_since: previous.stale_since || new Date(),
+  };
+  leagueStatus.set(leagueName, status);
+  return copy(status);
+}
+
+function emptyStatus(league) {
+  return { league, last_success_at: null, last_failure_at: null, last_error: null, stale_since: null };
+}
+
+async function getLeagueStatuses() {
+  return [...leagueStatus.values()].sort((a, b) => a.league.localeCompare(b.league)).map(copy);
+}
+
+async function getNotFinalGamesToday() {
+  const { currentDay, nextDay } = getTimeInfo();
+
+  return [...games.values()]
+    .filter(row => row.start_time >= currentDay && row.start_time < nextDay && !excludedStates.includes(row.state))
+    .sort(compareByStartTime)
+    .map(copy);
+}
+
+async function areAllGamesFinal(league) {
+  // Matches postgres.js: DATE(start_time) compared with today's (UTC) date
+  const today = getTimeInfo().currentDay.toISOString().slice(0, 10);
+
+  return ![...games.values()].some(row =>
+    row.league === league &&
+    row.start_time.toISOString().slice(0, 10) === today &&
+    !excludedStates.includes(row.state)
+  );
+}
+
+async function getAllGames() {
+  return [...games.values()].sort(compareAllGames).map(copy);
+}
+
+async function getGamesByLeague(leagueName) {
+  return [...games.values()].filter(row => row.league === leagueName).sort(compareByStartTime).map(copy);
+}
+
+async function getGamesVersion(leagueName = null) {
+  const rows = [...games.values()].filter(row => leagueName === null || row.league === leagueName);
+  return { count: rows.length, version: Math.max(0, ...rows.map(row => row.version)) };
+}
+
+async function getGameCounts() {
+  const counts = new Map();
+  for (const row of games.values()) {
+    const key = keyOf(row.league, row.state);
+    counts.set(key, { league: row.league, state: row.state, count: (counts.get(key)?.count || 0) + 1 });
+  }
+  return [...counts.values()].sort((a, b) => a.league.localeCompare(b.league) || String(a.state).localeCompare(String(b.state)));
+}
+
+async function getGame(leagueName, externalGameId) {
+  const row = games.get(keyOf(leagueName, externalGameId));
+  return row ? copy(row) : null;
+}
+
+async function queryGames(filter) {
+  return [...games.values()]
+    .filter(row => matchesFilter(row, filter))
+    .sort(compareGames(filter))
+    .slice(0, filter.limit ?? undefined)
+    .map(copy);
+}
+
+// Rows go out without key_hash, like the SQL backends' API_KEY_COLUMNS
+const publicKey = ({ key_hash, ...key }) => copy(key);
+
+async function createApiKey({ name, keyPrefix, keyHash, scopes, maxConnections }) {
+  const key = {
+    id: nextApiKeyId++,
+    name,
+    key_prefix: keyPrefix,
+    key_hash: keyHash,
+    scopes: [...scopes],
+    max_connections: maxConnections,
+    created_at: new Date(),
+    revoked_at: null,
+  };
+  apiKeys.set(key.id, key);
+  return publicKey(key);
+}
+
+async function findApiKey(keyHash) {
+  const key = [...apiKeys.values()].find(k => k.key_hash === keyHash && !k.revoked_at);
+  return key ? publicKey(key) : null;
+}
+
+async function revokeApiKey(id) {
+  const key = apiKeys.get(Number(id));
+  if (!key || key.revoked_at) return null;
+  key.revoked_at = new Date();
+  return publicKey(key);
+}
+
+async function listApiKeys() {
+  return [...apiKeys.values()].map(publicKey);
+}
+
+module.exports = {
+  init,
+  upsertGame,
+  replaceLeagueGames,
+  getGameTimeline,
+  markLeagueFresh,
+  markLeagueStale,
+  getLeagueStatuses,
+  getNotFinalGamesToday,
+  areAllGamesFinal,
+  getAllGames,
+  getGamesByLeague,
+  queryGames,
+  getGame,
+  getGameCounts,
+  getGamesVersion,
+  createApiKey,
+  findApiKey,
+  revokeApiKey,
+  listApiKeys,
+  clearTable,
+};
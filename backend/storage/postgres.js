@@ -0,0 +1,532 @@
+// postgres.js is the Postgres storage backend (the default). The schema is managed by migrate.js.
+const pool = require('../db');
+const { runMigrations } = require('../migrate');
+const { excludedStates } = require('./common');
+const { compileFilter } = require('../filters');
+
+const GAMES_WRITE_LOCK_ID = 4_000_002; // pg_advisory_xact_lock key serializing replaceLeagueGames
+
+/**
+ * Bring the schema up to date before first use.
+ */
+async function init() {
+  await runMigrations();
+}
+
+async function getTimeInfo() {
+  const query = `
+    SELECT 
+      (CURRENT_DATE AT TIME ZONE 'CST') AS currentDay,
+      ((CURRENT_DATE + INTERVAL '1 day') AT TIME ZONE 'CST') AS nextDay
+  `;
+
+  const result = await pool.query(query);
+
+  // Extract and format the time info
+  const timeInfo = {
+    currentDay: result.rows[0].currentday.toISOString(),
+    nextDay: result.rows[0].nextday.toISOString(),
+  };
+
+  console.log('TIME INFO', timeInfo);
+  return timeInfo;
+}
+
+async function clearTable(leaguesToIngest) {
+  const leagueNames = leaguesToIngest.map(league => league.name); // Extract names
+  const placeholders = leagueNames.map((_, index) => `$${index + 1}`).join(', '); // Create placeholders for query
+
+  const query = `DELETE FROM games WHERE league IN (${placeholders});`;
+  await pool.query(query, leagueNames);
+
+  console.log(`All rows with league_type ${JSON.stringify(leagueNames)} have been deleted.`);
+}
+
+
+/**
+ * Upsert a single game record into the "games" table. An existing row is only
+ * written, and its version and updated_at bumped, when some column changed.
+ * Pass a transaction client as `db` to run inside an open transaction.
+ */
+async function upsertGame(game, db = pool) {
+  const upsertQuery = `
+    INSERT INTO games (
+      league,
+      external_game_id,
+      link,
+      home_team_name,
+      home_team_logo,
+      home_team_score,
+      away_team_name,
+      away_team_logo,
+      away_team_score,
+      start_time,
+      short_detail,
+      state,
+      home_team_id,
+      home_team_abbreviation,
+      home_team_color,
+      home_team_alt_color,
+      home_team_record,
+      away_team_id,
+      away_team_abbreviation,
+      away_team_color,
+      away_team_alt_color,
+      away_team_record,
+      venue_name,
+      venue_city,
+      venue_state,
+      broadcasts,
+      neutral_site,
+      situation,
+      period
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+            $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29)
+    ON CONFLICT (league, external_game_id)
+    DO UPDATE
+      SET link                   = EXCLUDED.link,
+          home_team_name         = EXCLUDED.home_team_name,
+          home_team_logo         = EXCLUDED.home_team_logo,
+          home_team_score        = EXCLUDED.home_team_score,
+          away_team_name         = EXCLUDED.away_team_name,
+          away_team_logo         = EXCLUDED.away_team_logo,
+          away_team_score        = EXCLUDED.away_team_score,
+          start_time             = EXCLUDED.start_time,
+          short_detail           = EXCLUDED.short_detail,
+          state                  = EXCLUDED.state,
+          home_team_id           = EXCLUDED.home_team_id,
+          home_team_abbreviation = EXCLUDED.home_team_abbreviation,
+          home_team_color        = EXCLUDED.home_team_color,
+          home_team_alt_color    = EXCLUDED.home_team_alt_color,
+          home_team_record       = EXCLUDED.home_team_record,
+          away_team_id           = EXCLUDED.away_team_id,
+          away_team_abbreviation = EXCLUDED.away_team_abbreviation,
+          away_team_color        = EXCLUDED.away_team_color,
+          away_team_alt_color    = EXCLUDED.away_team_alt_color,
+          away_team_record       = EXCLUDED.away_team_record,
+          venue_name             = EXCLUDED.venue_name,
+          venue_city             = EXCLUDED.venue_city,
+          venue_state            = EXCLUDED.venue_state,
+          broadcasts             = EXCLUDED.broadcasts,
+          neutral_site           = EXCLUDED.neutral_site,
+          situation              = EXCLUDED.situation,
+          period                 = EXCLUDED.period,
+          version                = nextval('games_version_seq'),
+          updated_at             = NOW()
+      WHERE (
+          games.link,
+          games.home_team_name, games.home_team_logo, games.home_team_score,
+          games.away_team_name, games.away_team_logo, games.away_team_score,
+          games.start_time, games.short_detail, games.state,
+          games.home_team_id, games.home_team_abbreviation, games.home_team_color, games.home_team_alt_color, games.home_team_record,
+          games.away_team_id, games.away_team_abbreviation, games.away_team_color, games.away_team_alt_color, games.away_team_record,
+          games.venue_name, games.venue_city, games.venue_state,
+          games.broadcasts, games.neutral_site, games.situation, games.period
+        ) IS DISTINCT FROM (
+          EXCLUDED.link,
+          EXCLUDED.home_team_name, EXCLUDED.home_team_logo, EXCLUDED.home_team_score,
+          EXCLUDED.away_team_name, EXCLUDED.away_team_logo, EXCLUDED.away_team_score,
+          EXCLUDED.start_time, EXCLUDED.short_detail, EXCLUDED.state,
+          EXCLUDED.home_team_id, EXCLUDED.home_team_abbreviation, EXCLUDED.home_team_color, EXCLUDED.home_team_alt_color, EXCLUDED.home_team_record,
+          EXCLUDED.away_team_id, EXCLUDED.away_team_abbreviation, EXCLUDED.away_team_color, EXCLUDED.away_team_alt_color, EXCLUDED.away_team_record,
+          EXCLUDED.venue_name, EXCLUDED.venue_city, EXCLUDED.venue_state,
+          EXCLUDED.broadcasts, EXCLUDED.neutral_site, EXCLUDED.situation, EXCLUDED.period
+        );
+  `;
+
+  const values = [
+    game.league,
+    game.externalGameId,
+    game.link,
+    game.homeTeam.name,
+    game.homeTeam.logo,
+    game.homeTeam.score,
+    game.awayTeam.name,
+    game.awayTeam.logo,
+    game.awayTeam.score,
+    game.startTime,
+    game.shortDetail,
+    game.state,
+    game.homeTeam.id,
+    game.homeTeam.abbreviation,
+    game.homeTeam.color,
+    game.homeTeam.altColor,
+    game.homeTeam.record,
+    game.awayTeam.id,
+    game.awayTeam.abbreviation,
+    game.awayTeam.color,
+    game.awayTeam.altColor,
+    game.awayTeam.record,
+    game.venue?.name ?? null,
+    game.venue?.city ?? null,
+    game.venue?.state ?? null,
+    JSON.stringify(game.broadcasts || []), // jsonb: pg would otherwise send a Postgres array
+    Boolean(game.neutralSite),
+    game.situation ? JSON.stringify(game.situation) : null,
+    game.period ?? null,
+  ];
+
+  await db.query(upsertQuery, values);
+  await recordGameSnapshot(game, db);
+}
+
+/**
+ * Replace a league's games atomically: upsert every fetched game and delete
+ * rows the feed no longer lists, all in one transaction. On error nothing
+ * changes, so the last good data stays in place.
+ *
+ * Resolves to the league's rows as they were just before the replace, read
+ * under the same lock, so overlapping ingests of a league each see the
+ * other's result rather than the same old rows.
+ *
+ * `startUpsert` is called before each game's upsert and returns the function to
+ * call once it is done; dbQueries.js times the upserts with it.
+ */
+async function replaceLeagueGames(leagueName, games, startUpsert = () => () => {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    // One writer at a time, so versions become visible in increasing order and a
+    // reader's ?since=<version> cannot skip a row committed late
+    await client.query('SELECT pg_advisory_xact_lock($1);', [GAMES_WRITE_LOCK_ID]);
+    const previous = await client.query('SELECT * FROM games WHERE league = $1 ORDER BY start_time ASC;', [leagueName]);
+
+    for (const game of games) {
+      const upserted = startUpsert();
+      await upsertGame(game, client);
+      upserted();
+    }
+
+    await client.query(
+      `DELETE FROM games WHERE league = $1 AND NOT (external_game_id = ANY($2::text[]));`,
+      [leagueName, games.map(game => game.externalGameId)]
+    );
+
+    await client.query('COMMIT');
+    return previous.rows;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Append a timeline row for the game, unless its scores, state and
+ * short_detail are identical to the latest recorded snapshot.
+ */
+async function recordGameSnapshot(game, db = pool) {
+  const query = `
+    INSERT INTO game_snapshots (
+      league,
+      external_game_id,
+      home_team_score,
+      away_team_score,
+      state,
+      short_detail
+    )
+    SELECT $1, $2, $3, $4, $5, $6
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM (
+        SELECT home_team_score, away_team_score, state, short_detail
+        FROM game_snapshots
+        WHERE league = $1 AND external_game_id = $2
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT 1
+      ) latest
+      WHERE latest.home_team_score IS NOT DISTINCT FROM $3
+        AND latest.away_team_score IS NOT DISTINCT FROM $4
+        AND latest.state IS NOT DISTINCT FROM $5
+        AND latest.short_detail IS NOT DISTINCT FROM $6
+    );
+  `;
+
+  const values = [
+    game.league,
+    game.externalGameId,
+    game.homeTeam.score,
+    game.awayTeam.score,
+    game.state,
+    game.shortDetail,
+  ];
+
+  await db.query(query, values);
+}
+
+/**
+ * Returns every recorded snapshot for one game, oldest first.
+ */
+async function getGameTimeline(leagueName, externalGameId) {
+  const query = `
+    SELECT home_team_score, away_team_score, state, short_detail, recorded_at
+    FROM game_snapshots
+    WHERE league = $1 AND external_game_id = $2
+    ORDER BY recorded_at ASC, id ASC;
+  `;
+
+  const result = await pool.query(query, [leagueName, externalGameId]);
+  return result.rows;
+}
+
+/**
+ * Returns all "not-final" games scheduled for TODAY (UTC-based).
+ * 1. Start Time >= today (00:06:00 UTC)
+ * 2. Start Time < tomorrow (00:06:00 UTC)
+ */
+async function getNotFinalGamesToday() {
+  const timeInfo = await getTimeInfo();
+
+  const query = `
+    SELECT *
+    FROM games
+    WHERE
+      start_time >= $1
+      AND start_time < $2
+      AND state != ALL($3::text[])
+    ORDER BY start_time ASC;
+  `;
+
+  const values = [timeInfo.currentDay, timeInfo.nextDay, excludedStates];
+
+  console.log('SQL Query:', query, 'Params:', values);
+
+  const result = await pool.query(query, values);
+  //console.log('getNotFinalGamesToday:', result.rows);
+  return result.rows;
+}
+
+/**
+ * Checks if all games for a given league are final today.
+ */
+async function areAllGamesFinal(league) {
+  const timeInfo = await getTimeInfo();
+
+  const query = `
+    SELECT COUNT(*) AS cnt
+    FROM games
+    WHERE league = $1
+      AND DATE(start_time) = $2
+      AND state != ALL($3::text[])
+  `;
+
+  const values = [league, timeInfo.currentDay, excludedStates];
+
+  const res = await pool.query(query, values);
+  const countNonFinal = parseInt(res.rows[0].cnt, 10);
+  return countNonFinal === 0; // If countNonFinal is 0, no non-final games remain
+}
+
+/**
+ * Returns all games from the "games" table.
+ */
+async function getAllGames() {
+  const query = `
+    SELECT *
+    FROM games
+    ORDER BY 
+      CASE WHEN state = 'in' THEN 1 ELSE 2 END ASC,
+      league ASC, 
+      start_time ASC, 
+      external_game_id ASC;
+  `;
+
+  const result = await pool.query(query);
+  return result.rows; // Return all games ordered by the criteria
+}
+
+/**
+ * Returns all games for a given league.
+ */
+async function getGamesByLeague(leagueName) {
+  const query = `
+    SELECT *
+    FROM games
+    WHERE league = $1
+    ORDER BY start_time ASC;
+  `;
+
+  const result = await pool.query(query, [leagueName]);
+  return result.rows; // Return games for the specified league
+}
+
+/**
+ * Record a successful ingest for a league and clear its stale marker.
+ */
+async function markLeagueFresh(leagueName) {
+  const query = `
+    INSERT INTO league_status (league, last_success_at, stale_since)
+    VALUES ($1, NOW(), NULL)
+    ON CONFLICT (league)
+    DO UPDATE
+      SET last_success_at = NOW(),
+          stale_since     = NULL
+    RETURNING *;
+  `;
+
+  const result = await pool.query(query, [leagueName]);
+  return result.rows[0];
+}
+
+/**
+ * Record a failed ingest for a league. stale_since keeps the time of the
+ * first failure since the last success.
+ */
+async function markLeagueStale(leagueName, errorMessage) {
+  const query = `
+    INSERT INTO league_status (league, last_failure_at, last_error, stale_since)
+    VALUES ($1, NOW(), $2, NOW())
+    ON CONFLICT (league)
+    DO UPDATE
+      SET last_failure_at = NOW(),
+          last_error      = EXCLUDED.last_error,
+          stale_since     = COALESCE(league_status.stale_since, NOW())
+    RETURNING *;
+  `;
+
+  const result = await pool.query(query, [leagueName, errorMessage]);
+  return result.rows[0];
+}
+
+/**
+ * Returns the ingest status row of every league that has been ingested.
+ */
+async function getLeagueStatuses() {
+  const result = await pool.query(`SELECT * FROM league_status ORDER BY league ASC;`);
+  return result.rows;
+}
+
+/**
+ * Number of games per league and state.
+ */
+async function getGameCounts() {
+  const query = `
+    SELECT league, state, COUNT(*)::int AS count
+    FROM games
+    GROUP BY league, state
+    ORDER BY league ASC, state ASC;
+  `;
+
+  const result = await pool.query(query);
+  return result.rows;
+}
+
+/**
+ * Returns one game, or null if there is no such game.
+ */
+async function getGame(leagueName, externalGameId) {
+  const result = await pool.query(
+    `SELECT * FROM games WHERE league = $1 AND external_game_id = $2;`,
+    [leagueName, externalGameId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Fingerprint of all games, or one league's, for ETags: the row count and the
+ * highest version (0 when empty). Any insert, change or delete moves one of them.
+ */
+async function getGamesVersion(leagueName = null) {
+  const query = `
+    SELECT COUNT(*)::int AS count, COALESCE(MAX(version), 0) AS version
+    FROM games
+    WHERE $1::text IS NULL OR league = $1;
+  `;
+
+  const result = await pool.query(query, [leagueName]);
+  return result.rows[0];
+}
+
+/**
+ * Returns the games matching a normalized filter (see filters.js) in a
+ * single parameterized query.
+ */
+async function queryGames(filter) {
+  const { where, orderBy, limit, params } = compileFilter(filter, 'postgres');
+  const query = `
+    SELECT *
+    FROM games
+    WHERE ${where}
+    ORDER BY ${orderBy}
+    ${limit === null ? '' : `LIMIT ${Number(limit)}`};
+  `;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, max_connections, created_at, revoked_at';
+
+/**
+ * Store a new API key (its hash, never the key itself) and return it without the hash.
+ */
+async function createApiKey({ name, keyPrefix, keyHash, scopes, maxConnections }) {
+  const query = `
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, max_connections)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${API_KEY_COLUMNS};
+  `;
+
+  const result = await pool.query(query, [name, keyPrefix, keyHash, scopes, maxConnections]);
+  return result.rows[0];
+}
+
+/**
+ * Returns the active (not revoked) key with this hash, or null.
+ */
+async function findApiKey(keyHash) {
+  const query = `
+    SELECT ${API_KEY_COLUMNS}
+    FROM api_keys
+    WHERE key_hash = $1 AND revoked_at IS NULL;
+  `;
+
+  const result = await pool.query(query, [keyHash]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a key by id; returns it, or null if there is no such active key.
+ */
+async function revokeApiKey(id) {
+  const query = `
+    UPDATE api_keys
+    SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING ${API_KEY_COLUMNS};
+  `;
+
+  const result = await pool.query(query, [id]);
+  return result.rows[0] || null;
+}
+
+async function listApiKeys() {
+  const result = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id ASC;`);
+  return result.rows;
+}
+
+module.exports = {
+  init,
+  upsertGame,
+  replaceLeagueGames,
+  getGameTimeline,
+  markLeagueFresh,
+  markLeagueStale,
+  getLeagueStatuses,
+  getNotFinalGamesToday,
+  areAllGamesFinal,
+  getAllGames,
+  getGamesByLeague,
+  queryGames,
+  getGame,
+  getGameCounts,
+  getGamesVersion,
+  createApiKey,
+  findApiKey,
+  revokeApiKey,
+  listApiKeys,
+  clearTable,
+};
@@ -0,0 +1,348 @@
+// sqlite.js is a single-file storage backend (better-sqlite3) for running without a Postgres server.
+// Its schema comes from migrations/sqlite, which mirrors the Postgres migrations version for version.
+const path = require('path');
+const {
+  excludedStates,
+  getTimeInfo,
+  gameToRow,
+} = require('./common');
+const { compileFilter } = require('../filters');
+const { runSqliteMigrations } = require('../migrate');
+
+let db = null;
+
+const GAME_COLUMNS = [
+  'league', 'external_game_id', 'link',
+  'home_team_name', 'home_team_logo', 'home_team_score',
+  'away_team_name', 'away_team_logo', 'away_team_score',
+  'start_time', 'short_detail', 'state',
+  'home_team_id', 'home_team_abbreviation', 'home_team_color', 'home_team_alt_color', 'home_team_record',
+  'away_team_id', 'away_team_abbreviation', 'away_team_color', 'away_team_alt_color', 'away_team_record',
+  'venue_name', 'venue_city', 'venue_state', 'broadcasts', 'neutral_site', 'situation',
+  'period',
+];
+
+/**
+ * Open the database file (SQLITE_PATH, default backend/games.sqlite;
+ * ':memory:' works too) and apply pending migrations (migrations/sqlite, see migrate.js).
+ */
+async function init() {
+  const Database = require('better-sqlite3'); // only needed when this backend is selected
+  db = new Database(process.env.SQLITE_PATH || path.join(__dirname, '..', 'games.sqlite'));
+  db.pragma('journal_mode = WAL');
+
+  await runSqliteMigrations(db);
+}
+
+function getDb() {
+  if (!db) throw new Error('SQLite storage used before init()');
+  return db;
+}
+
+/**
+ * SQLite has no timestamp, boolean or JSON types; convert rows back to what
+ * the Postgres driver would return.
+ */
+function fromGameRow(row) {
+  return {
+    ...row,
+    start_time: new Date(row.start_time),
+    broadcasts: JSON.parse(row.broadcasts),
+    neutral_site: Boolean(row.neutral_site),
+    situation: row.situation ? JSON.parse(row.situation) : null,
+    updated_at: new Date(row.updated_at),
+  };
+}
+
+function fromStatusRow(row) {
+  const toDate = (value) => (value ? new Date(value) : null);
+  return {
+    ...row,
+    last_success_at: toDate(row.last_success_at),
+    last_failure_at: toDate(row.last_failure_at),
+    stale_since: toDate(row.stale_since),
+  };
+}
+
+function fromApiKeyRow(row) {
+  return {
+    ...row,
+    scopes: JSON.parse(row.scopes),
+    created_at: new Date(row.created_at),
+    revoked_at: row.revoked_at ? new Date(row.revoked_at) : null,
+  };
+}
+
+async function clearTable(leaguesToIngest) {
+  const leagueNames = leaguesToIngest.map(league => league.name);
+  getDb()
+    .prepare(`DELETE FROM games WHERE league IN (SELECT value FROM json_each(?));`)
+    .run(JSON.stringify(leagueNames));
+}
+
+function upsertGameSync(game) {
+  const row = gameToRow(game);
+  const values = {
+    ...row,
+    start_time: row.start_time.toISOString(),
+    broadcasts: JSON.stringify(row.broadcasts),
+    neutral_site: row.neutral_site ? 1 : 0,
+    situation: row.situation ? JSON.stringify(row.situation) : null,
+  };
+
+  // An existing row is only written, with a new version and updated_at, when some column changed
+  const tracked = GAME_COLUMNS.slice(2);
+  const { value: version } = getDb()
+    .prepare(`UPDATE counters SET value = value + 1 WHERE name = 'games_version' RETURNING value;`)
+    .get();
+  getDb().prepare(`
+    INSERT INTO games (${GAME_COLUMNS.join(', ')}, version, updated_at)
+    VALUES (${GAME_COLUMNS.map(column => `@${column}`).join(', ')}, @version, @updated_at)
+    ON CONFLICT (league, external_game_id)
+    DO UPDATE SET ${tracked.map(column => `${column} = excluded.${column}`).join(', ')},
+      version = excluded.version, updated_at = excluded.updated_at
+    WHERE (${tracked.map(column => `games.${column}`).join(', ')}) IS NOT (${tracked.map(column => `excluded.${column}`).join(', ')});
+  `).run({ ...values, version, updated_at: new Date().toISOString() });
+
+  // `IS` is SQLite's null-safe equality
+  getDb().prepare(`
+    INSERT INTO game_snapshots (league, external_game_id, home_team_score, away_team_score, state, short_detail, recorded_at)
+    SELECT @league, @external_game_id, @home_team_score, @away_team_score, @state, @short_detail, @recorded_at
+    WHERE NOT EXISTS (
+      SELECT 1
+      FROM (
+        SELECT home_team_score, away_team_score, state, short_detail
+        FROM game_snapshots
+        WHERE league = @league AND external_game_id = @external_game_id
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT 1
+      ) latest
+      WHERE latest.home_team_score IS @home_team_score
+        AND latest.away_team_score IS @away_team_score
+        AND latest.state IS @state
+        AND latest.short_detail IS @short_detail
+    );
+  `).run({
+    league: values.league,
+    external_game_id: values.external_game_id,
+    home_team_score: values.home_team_score,
+    away_team_score: values.away_team_score,
+    state: values.state,
+    short_detail: values.short_detail,
+    recorded_at: new Date().toISOString(),
+  });
+}
+
+async function upsertGame(game) {
+  upsertGameSync(game);
+}
+
+/**
+ * Same contract as postgres.js: resolves to the league's rows from just before the replace.
+ */
+async function replaceLeagueGames(leagueName, games, startUpsert = () => () => {}) {
+  const replace = getDb().transaction(() => {
+    const previous = getDb()
+      .prepare(`SELECT * FROM games WHERE league = ? ORDER BY start_time ASC;`)
+      .all(leagueName)
+      .map(fromGameRow);
+    for (const game of games) {
+      const upserted = startUpsert();
+      upsertGameSync(game);
+      upserted();
+    }
+    getDb()
+      .prepare(`DELETE FROM games WHERE league = ? AND external_game_id NOT IN (SELECT value FROM json_each(?));`)
+      .run(leagueName, JSON.stringify(games.map(game => game.externalGameId)));
+    return previous;
+  });
+
+  return replace();
+}
+
+async function getGameTimeline(leagueName, externalGameId) {
+  return getDb().prepare(`
+    SELECT home_team_score, away_team_score, state, short_detail, recorded_at
+    FROM game_snapshots
+    WHERE league = ? AND external_game_id = ?
+    ORDER BY recorded_at ASC, id ASC;
+  `).all(leagueName, externalGameId).map(row => ({ ...row, recorded_at: new Date(row.recorded_at) }));
+}
+
+async function markLeagueFresh(leagueName) {
+  const row = getDb().prepare(`
+    INSERT INTO league_status (league, last_success_at, stale_since)
+    VALUES (@league, @now, NULL)
+    ON CONFLICT (league)
+    DO UPDATE
+      SET last_success_at = @now,
+          stale_since     = NULL
+    RETURNING *;
+  `).get({ league: leagueName, now: new Date().toISOString() });
+
+  return fromStatusRow(row);
+}
+
+async function markLeagueStale(leagueName, errorMessage) {
+  const row = getDb().prepare(`
+    INSERT INTO league_status (league, last_failure_at, last_error, stale_since)
+    VALUES (@league, @now, @error, @now)
+    ON CONFLICT (league)
+    DO UPDATE
+      SET last_failure_at = @now,
+          last_error      = excluded.last_error,
+          stale_since     = COALESCE(league_status.stale_since, @now)
+    RETURNING *;
+  `).get({ league: leagueName, now: new Date().toISOString(), error: errorMessage });
+
+  return fromStatusRow(row);
+}
+
+async function getLeagueStatuses() {
+  return getDb().prepare(`SELECT * FROM league_status ORDER BY league ASC;`).all().map(fromStatusRow);
+}
+
+async function getNotFinalGamesToday() {
+  const { currentDay, nextDay } = getTimeInfo();
+
+  return getDb().prepare(`
+    SELECT *
+    FROM games
+    WHERE start_time >= ?
+      AND start_time < ?
+      AND state NOT IN (SELECT value FROM json_each(?))
+    ORDER BY start_time ASC;
+  `).all(currentDay.toISOString(), nextDay.toISOString(), JSON.stringify(excludedStates)).map(fromGameRow);
+}
+
+async function areAllGamesFinal(league) {
+  const today = getTimeInfo().currentDay.toISOString().slice(0, 10);
+
+  const { cnt } = getDb().prepare(`
+    SELECT COUNT(*) AS cnt
+    FROM games
+    WHERE league = ?
+      AND substr(start_time, 1, 10) = ?
+      AND state NOT IN (SELECT value FROM json_each(?));
+  `).get(league, today, JSON.stringify(excludedStates));
+
+  return cnt === 0;
+}
+
+async function getAllGames() {
+  return getDb().prepare(`
+    SELECT *
+    FROM games
+    ORDER BY
+      CASE WHEN state = 'in' THEN 1 ELSE 2 END ASC,
+      league ASC,
+      start_time ASC,
+      external_game_id ASC;
+  `).all().map(fromGameRow);
+}
+
+async function getGamesByLeague(leagueName) {
+  return getDb().prepare(`
+    SELECT *
+    FROM games
+    WHERE league = ?
+    ORDER BY start_time ASC;
+  `).all(leagueName).map(fromGameRow);
+}
+
+async function getGamesVersion(leagueName = null) {
+  return getDb().prepare(`
+    SELECT COUNT(*) AS count, COALESCE(MAX(version), 0) AS version
+    FROM games
+    WHERE @league IS NULL OR league = @league;
+  `).get({ league: leagueName });
+}
+
+async function getGameCounts() {
+  return getDb().prepare(`
+    SELECT league, state, COUNT(*) AS count
+    FROM games
+    GROUP BY league, state
+    ORDER BY league ASC, state ASC;
+  `).all();
+}
+
+async function getGame(leagueName, externalGameId) {
+  const row = getDb()
+    .prepare(`SELECT * FROM games WHERE league = ? AND external_game_id = ?;`)
+    .get(leagueName, externalGameId);
+  return row ? fromGameRow(row) : null;
+}
+
+async function queryGames(filter) {
+  const { where, orderBy, limit, params } = compileFilter(filter, 'sqlite');
+  const namedParams = Object.fromEntries(params.map((value, index) => [`p${index + 1}`, value]));
+
+  return getDb().prepare(`
+    SELECT *
+    FROM games
+    WHERE ${where}
+    ORDER BY ${orderBy}
+    ${limit === null ? '' : `LIMIT ${Number(limit)}`};
+  `).all(namedParams).map(fromGameRow);
+}
+
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, max_connections, created_at, revoked_at';
+
+async function createApiKey({ name, keyPrefix, keyHash, scopes, maxConnections }) {
+  const row = getDb().prepare(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, max_connections, created_at)
+    VALUES (@name, @keyPrefix, @keyHash, @scopes, @maxConnections, @now)
+    RETURNING ${API_KEY_COLUMNS};
+  `).get({ name, keyPrefix, keyHash, scopes: JSON.stringify(scopes), maxConnections, now: new Date().toISOString() });
+
+  return fromApiKeyRow(row);
+}
+
+async function findApiKey(keyHash) {
+  const row = getDb().prepare(`
+    SELECT ${API_KEY_COLUMNS}
+    FROM api_keys
+    WHERE key_hash = ? AND revoked_at IS NULL;
+  `).get(keyHash);
+
+  return row ? fromApiKeyRow(row) : null;
+}
+
+async function revokeApiKey(id) {
+  const row = getDb().prepare(`
+    UPDATE api_keys
+    SET revoked_at = ?
+    WHERE id = ? AND revoked_at IS NULL
+    RETURNING ${API_KEY_COLUMNS};
+  `).get(new Date().toISOString(), id);
+
+  return row ? fromApiKeyRow(row) : null;
+}
+
+async function listApiKeys() {
+  return getDb().prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id ASC;`).all().map(fromApiKeyRow);
+}
+
+module.exports = {
+  init,
+  upsertGame,
+  replaceLeagueGames,
+  getGameTimeline,
+  markLeagueFresh,
+  markLeagueStale,
+  getLeagueStatuses,
+  getNotFinalGamesToday,
+  areAllGamesFinal,
+  getAllGames,
+  getGamesByLeague,
+  queryGames,
+  getGame,
+  getGameCounts,
+  getGamesVersion,
+  createApiKey,
+  findApiKey,
+  revokeApiKey,
+  listApiKeys,
+  clearTable,
+};
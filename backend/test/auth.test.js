@@ -0,0 +1,107 @@
+// auth.test.js checks API keys (see auth.js) on REST routes and WebSocket upgrades: a missing or
+// revoked key is a 401, a key without the route's scope a 403, and a key's connections past its
+// max_connections a 429. Keys need a database, so this runs the sqlite backend in memory.
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'sqlite'
+process.env.SQLITE_PATH = ':memory:'
+delete process.env.API_AUTH
+
+const { createApiKey, revokeApiKey } = require('../dbQueries')
+const { generateApiKey } = require('../auth')
+const { startServer, connect } = require('./helpers')
+
+let server
+const keys = {}
+const clients = []
+
+async function makeKey(name, scopes, maxConnections = 5) {
+    const { key, keyPrefix, keyHash } = generateApiKey()
+    const created = await createApiKey({ name, keyPrefix, keyHash, scopes, maxConnections })
+    return { key, id: created.id }
+}
+
+const get = (path, headers = {}) => fetch(`${server.url}${path}`, { headers })
+const bearer = ({ key }) => ({ Authorization: `Bearer ${key}` })
+
+before(async () => {
+    server = await startServer()
+    keys.read = await makeKey('reader', ['read'])
+    keys.admin = await makeKey('operator', ['admin'])
+    keys.revoked = await makeKey('former partner', ['read'])
+    await revokeApiKey(keys.revoked.id)
+})
+
+after(async () => {
+    for (const client of clients) client.close()
+    await server.close()
+})
+
+test('takes the key from a bearer token, an X-API-Key header or ?token=', async () => {
+    assert.equal((await get('/api/games', bearer(keys.read))).status, 200)
+    assert.equal((await get('/api/games', { 'X-API-Key': keys.read.key })).status, 200)
+    assert.equal((await get(`/api/games?token=${encodeURIComponent(keys.read.key)}`)).status, 200)
+})
+
+test('answers 401 without a valid key, except on the open routes', async () => {
+    assert.equal((await get('/api/games')).status, 401)
+    assert.equal((await get('/api/games', { Authorization: 'Bearer gk_made_up' })).status, 401)
+    assert.equal((await get('/api/games', bearer(keys.revoked))).status, 401)
+
+    for (const path of ['/api/protocol', '/healthz']) {
+        assert.equal((await get(path)).status, 200, path)
+    }
+})
+
+test('answers 403 to a key without the route\'s scope; admin includes read', async () => {
+    const cancelUnknownPoll = key => fetch(`${server.url}/api/admin/polls/XFL`, { method: 'DELETE', headers: bearer(key) })
+
+    assert.equal((await cancelUnknownPoll(keys.read)).status, 403)
+    assert.equal((await cancelUnknownPoll(keys.admin)).status, 400)  // past auth: the league is unknown
+    assert.equal((await get('/api/games', bearer(keys.admin))).status, 200)
+})
+
+test('refuses a WebSocket upgrade without a valid key', async () => {
+    await assert.rejects(connect(server.wsUrl), /401/)
+    await assert.rejects(connect(server.wsUrl, bearer(keys.revoked)), /401/)
+})
+
+test('forbids admin commands over a read key\'s WebSocket', async () => {
+    const client = await connect(`${server.wsUrl}?token=${encodeURIComponent(keys.read.key)}`)
+    clients.push(client)
+    const [forbidden] = await client.request('admin_command', { command: 'status' })
+    assert.equal(forbidden.code, 'forbidden')
+})
+
+test('limits a key to max_connections sockets and streams at a time', async () => {
+    const limited = await makeKey('limited', ['read'], 2)
+    const first = await connect(server.wsUrl, bearer(limited))
+    const stream = new AbortController()
+    const opened = await fetch(`${server.url}/api/stream`, { headers: bearer(limited), signal: stream.signal })
+    assert.equal(opened.status, 200)
+
+    await assert.rejects(connect(server.wsUrl, bearer(limited)), /429/)
+    assert.equal((await get('/api/stream', bearer(limited))).status, 429)
+
+    // Closing a connection frees its slot
+    first.close()
+    stream.abort()
+    clients.push(await connectOnceFree(bearer(limited)))
+    clients.push(await connectOnceFree(bearer(limited)))
+})
+
+/**
+ * Connect as soon as the key has a free slot (a closed socket is released asynchronously)
+ */
+async function connectOnceFree(headers) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        try {
+            return await connect(server.wsUrl, headers)
+        } catch (err) {
+            if (!/429/.test(err.message)) throw err
+            await new Promise(resolve => setTimeout(resolve, 10))
+        }
+    }
+    throw new Error('The key\'s connection slots were never released')
+}
@@ -0,0 +1,77 @@
+// control.test.js checks admin commands (see control.js): their arguments are validated before they
+// are sent, the worker runs them and answers the sender, and `broadcast` resends every client a full
+// snapshot. API and worker share this process, as with the memory backend.
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.SCORE_PROVIDER = 'fixture'
+process.env.API_AUTH = 'off'
+
+const { CommandError, sendCommand, serveCommands } = require('../control')
+const { startServer, connect, heldGames, makeGame, ingest } = require('./helpers')
+const { getAllGames } = require('../dbQueries')
+
+let server
+const clients = []
+
+before(async () => {
+    server = await startServer()
+})
+
+after(async () => {
+    for (const client of clients) client.close()
+    await server.close()
+})
+
+const rejectsWith = (promise, status, message) => assert.rejects(promise, err => {
+    assert.ok(err instanceof CommandError)
+    assert.equal(err.status, status)
+    assert.match(err.message, message)
+    return true
+})
+
+test('refuses unknown commands and invalid arguments before sending them', async () => {
+    await rejectsWith(sendCommand('reboot'), 400, /^Unknown command "reboot"/)
+    await rejectsWith(sendCommand('ingest', { leagues: [] }), 400, /non-empty array/)
+    await rejectsWith(sendCommand('ingest', { leagues: ['NFL', 'XFL'] }), 400, /: XFL$/)
+    await rejectsWith(sendCommand('start_poll', {}), 400, /known league/)
+    await rejectsWith(sendCommand('cancel_poll', { league: 'XFL' }), 400, /known league/)
+})
+
+describe('with a worker serving commands', () => {
+    test('answers 504 while no worker listens', async () => {
+        await rejectsWith(sendCommand('status', {}, { timeoutMs: 50 }), 504, /No worker answered the status command within 50 ms/)
+    })
+
+    test('runs the command on the worker and resolves to its result', async () => {
+        await serveCommands()
+
+        assert.deepEqual(await sendCommand('status'), { polling_paused: false, scheduled_jobs: [] })
+        assert.equal((await sendCommand('pause_polling')).polling_paused, true)
+        assert.equal((await sendCommand('resume_polling')).polling_paused, false)
+        assert.deepEqual(await sendCommand('cancel_poll', { league: 'NFL' }), { cancelled: false, polling_paused: false, scheduled_jobs: [] })
+
+        assert.deepEqual(await sendCommand('ingest', { leagues: ['NFL'] }), { leagues: ['NFL'], failed_leagues: [] })
+        assert.ok((await getAllGames()).some(game => game.league === 'NFL'))
+    })
+})
+
+test('broadcast resends every client its snapshot, even when nothing changed', async () => {
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks' })])
+    const client = await connect(server.wsUrl)
+    await client.request('filter_request', { filters: { leagues: ['NBA'] } })
+    const topics = await connect(server.wsUrl)
+    clients.push(client, topics)
+    await topics.request('subscribe', { topics: ['game:10'] })
+
+    const from = [client.messages.length, topics.messages.length]
+    const res = await fetch(`${server.url}/api/admin/broadcast`, { method: 'POST' })
+    assert.deepEqual(await res.json(), { command: 'broadcast', result: { broadcast: true } })
+
+    const resent = await client.next('filtered_data', from[0])
+    assert.equal(resent.id, undefined)
+    assert.deepEqual(resent.data.map(game => game.external_game_id), ['10'])
+    assert.deepEqual((await topics.next('subscribed', from[1])).data.map(game => game.external_game_id), ['10'])
+    assert.deepEqual([...heldGames(client.messages).keys()], ['NBA:10'])
+})
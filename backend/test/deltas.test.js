@@ -0,0 +1,138 @@
+// deltas.test.js checks that WebSocket clients are kept up to date with per-game deltas (game_added,
+// game_changed, game_removed) and lifecycle events that match their filter, and that they end up
+// holding what storage holds.
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.API_AUTH = 'off'
+
+const dbQueries = require('../dbQueries')
+
+// While `gate` is set, snapshot reads wait for it after reading their rows, so a test can run a broadcast mid-snapshot
+const queryGames = dbQueries.queryGames
+let gate = null
+let snapshotsRead = 0
+dbQueries.queryGames = async (filter) => {
+    const rows = await queryGames(filter)
+    snapshotsRead += 1
+    if (gate) await gate
+    return rows
+}
+
+const { startServer, waitFor, connect, heldGames, makeGame, ingest } = require('./helpers')
+
+let server
+const clients = []
+
+async function connectClient() {
+    const client = await connect(server.wsUrl)
+    clients.push(client)
+    return client
+}
+
+const keysOf = held => [...held.keys()].sort()
+const NFL = [
+    makeGame('NFL', '1', { home: 'Packers', away: 'Bears', state: 'in', homeScore: 7 }),
+    makeGame('NFL', '2', { home: 'Chiefs', away: 'Raiders' })
+]
+
+before(async () => {
+    server = await startServer()
+    await ingest('NFL', NFL)
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks' })])
+})
+
+after(async () => {
+    for (const client of clients) client.close()
+    await server.close()
+})
+
+test('sends only what changed about each game', async () => {
+    const client = await connectClient()
+    await client.request('connection')
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:10', 'NFL:1', 'NFL:2'])
+
+    const from = client.messages.length
+    await ingest('NFL', [{ ...NFL[0], homeTeam: { ...NFL[0].homeTeam, score: 14 } }, makeGame('NFL', '3', { home: 'Lions', away: 'Vikings' })])
+    await client.next('game_added', from)
+    const deltas = client.messages.slice(from).filter(message => message.type.startsWith('game_'))
+
+    assert.deepEqual(deltas.map(message => message.type).sort(), ['game_added', 'game_changed', 'game_removed'])
+    assert.deepEqual(deltas.find(message => message.type === 'game_changed').changes.home_team_score, 14)
+    assert.ok(!('away_team_score' in deltas.find(message => message.type === 'game_changed').changes))
+    assert.equal(deltas.find(message => message.type === 'game_removed').external_game_id, '2')
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:10', 'NFL:1', 'NFL:3'])
+    assert.equal(heldGames(client.messages).get('NFL:1').home_team_score, 14)
+})
+
+test('routes deltas by filter and removes games that stop matching it', async () => {
+    const client = await connectClient()
+    await client.request('filter_request', { filters: { leagues: ['NFL'], states: ['pre'] } })
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NFL:3'])
+
+    const from = client.messages.length
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks', state: 'in' })])
+    await ingest('NFL', [NFL[0], makeGame('NFL', '3', { home: 'Lions', away: 'Vikings', state: 'in' })])
+    await client.next('game_removed', from)
+
+    assert.deepEqual(client.messages.slice(from).map(message => message.type), ['game_removed'])
+    assert.deepEqual(keysOf(heldGames(client.messages)), [])
+})
+
+test('forwards lifecycle events for the games a client follows', async () => {
+    const client = await connectClient()
+    await client.request('filter_request', { filters: { leagues: ['NBA'] } })
+
+    const from = client.messages.length
+    await ingest('NFL', [{ ...NFL[0], homeTeam: { ...NFL[0].homeTeam, score: 17 } }, makeGame('NFL', '3', { home: 'Lions', away: 'Vikings', state: 'in' })])
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks', state: 'in', homeScore: 2 })])
+    const scored = await client.next('score_changed', from)
+
+    assert.equal(scored.league, 'NBA')
+    assert.deepEqual(scored.new_score, { home: 2, away: 0 })
+    assert.ok(client.messages.slice(from).every(message => message.league !== 'NFL'))
+})
+
+test('answers back-to-back messages in the order they were sent', async () => {
+    const client = await connectClient()
+    const ids = [
+        client.send('filter_request', { filters: { leagues: ['NFL'] } }),
+        client.send('subscribe', { topics: ['league:NBA'] }),
+        client.send('timeline_request', { league: 'NFL', external_game_id: '1' }),
+        client.send('filter_request', { filters: { leagues: ['MLB'] } }),
+        client.send('ping', { client_time: 1 })
+    ]
+    await waitFor(() => client.repliesTo(ids[4]).some(message => message.type === 'ack'), 'the last ack')
+
+    const replies = client.messages.filter(message => ids.includes(message.id))
+    assert.deepEqual(replies.map(message => message.id), ids.flatMap(id => [id, id]))
+    assert.deepEqual(
+        replies.filter(message => message.type !== 'ack').map(message => message.type),
+        ['filtered_data', 'subscribed', 'timeline', 'filtered_data', 'pong']
+    )
+    assert.equal(client.repliesTo(ids[3])[0].count, 0)
+})
+
+test('a broadcast during a snapshot read still reaches the client', async (t) => {
+    const client = await connectClient()
+    await client.request('connection')
+
+    let release
+    gate = new Promise(resolve => { release = resolve })
+    t.after(() => { gate = null })
+    const read = snapshotsRead
+    const id = client.send('filter_request', { filters: { leagues: ['NFL'] } })
+    await waitFor(() => snapshotsRead > read, 'the snapshot read')
+
+    // The snapshot holds the rows from before this ingest
+    await ingest('NFL', [{ ...NFL[0], homeTeam: { ...NFL[0].homeTeam, score: 21 } }, makeGame('NFL', '4', { home: 'Rams', away: 'Seahawks' })])
+    gate = null
+    release()
+    await waitFor(() => client.repliesTo(id).some(message => message.type === 'ack'), 'the ack')
+    await waitFor(() => heldGames(client.messages).has('NFL:4'), 'NFL:4')
+
+    const held = heldGames(client.messages)
+    assert.deepEqual(keysOf(held), ['NFL:1', 'NFL:4'])
+    assert.equal(held.get('NFL:1').home_team_score, 21)
+})
@@ -0,0 +1,167 @@
+// espn.test.js covers the ESPN provider against a local server standing in for the scoreboard API (see providers/espn.js).
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('http')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.ESPN_TIMEOUT_MS = '200'
+delete process.env.SCORE_PROVIDER
+
+const { fetchScoreboard, normalizeScoreboard } = require('../providers/espn')
+const { initStorage, getLeagueStatuses } = require('../dbQueries')
+const { getLeague } = require('../leagueConfigs')
+const { ingestData } = require('../ingest')
+
+/**
+ * One ESPN scoreboard event; competitors are listed away team first unless `homeFirst`
+ */
+function espnEvent({ state = 'pre', homeFirst = false, competition = {} } = {}) {
+    const home = {
+        homeAway: 'home',
+        score: '21',
+        team: { id: '9', shortDisplayName: 'Packers', abbreviation: 'GB', color: '203731', alternateColor: 'ffb612' },
+        records: [{ type: 'home', summary: '3-0' }, { type: 'total', summary: '5-1' }]
+    }
+    const away = { homeAway: 'away', score: '17', team: { id: '3', shortDisplayName: 'Bears', abbreviation: 'CHI' } }
+    return {
+        id: '401',
+        date: '2026-10-18T17:00Z',
+        status: { period: 2, type: { state, shortDetail: '7:23 - 2nd' } },
+        competitions: [{ competitors: homeFirst ? [home, away] : [away, home], ...competition }]
+    }
+}
+
+let server
+const hung = new Set()  // responses the server never finishes
+
+before(async () => {
+    await initStorage()
+    server = http.createServer((req, res) => {
+        if (req.url.startsWith('/football/nfl/')) {
+            hung.add(res)  // never answers
+            return
+        }
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({ events: [] }))
+    })
+    await new Promise(resolve => server.listen(0, resolve))
+    process.env.ESPN_API_URL = `http://localhost:${server.address().port}`
+})
+
+after(() => {
+    for (const res of hung) res.destroy()
+    server.close()
+})
+
+test('gives up on a scoreboard request after ESPN_TIMEOUT_MS', async () => {
+    const started = Date.now()
+    await assert.rejects(fetchScoreboard(getLeague('NFL')), /timeout/)
+    assert.ok(Date.now() - started < 2000)
+})
+
+test('a hung league is marked stale and the leagues behind it are still ingested', async () => {
+    const failed = await ingestData([getLeague('NFL'), getLeague('NBA')])
+    assert.deepEqual(failed, ['NFL'])
+
+    const statuses = Object.fromEntries((await getLeagueStatuses()).map(status => [status.league, status]))
+    assert.ok(statuses.NFL.stale_since)
+    assert.match(statuses.NFL.last_error, /timeout/)
+    assert.equal(statuses.NBA.stale_since, null)
+})
+
+test('takes home and away from homeAway, whatever the order', () => {
+    for (const homeFirst of [false, true]) {
+        const [game] = normalizeScoreboard(getLeague('NFL'), { events: [espnEvent({ homeFirst })] })
+        assert.equal(game.homeTeam.name, 'Packers')
+        assert.equal(game.homeTeam.score, 21)
+        assert.equal(game.awayTeam.name, 'Bears')
+        assert.equal(game.awayTeam.score, 17)
+    }
+})
+
+test('keeps team details, venue and broadcasts', () => {
+    const [game] = normalizeScoreboard(getLeague('NFL'), {
+        events: [espnEvent({
+            competition: {
+                venue: { fullName: 'Lambeau Field', address: { city: 'Green Bay', state: 'WI' } },
+                neutralSite: false,
+                geoBroadcasts: [
+                    { media: { shortName: 'FOX' }, type: { shortName: 'TV' }, market: { type: 'National' } },
+                    { media: {}, type: { shortName: 'Streaming' } }
+                ],
+                broadcasts: [{ names: ['CBS'] }]
+            }
+        })]
+    })
+
+    assert.deepEqual(
+        { abbreviation: game.homeTeam.abbreviation, color: game.homeTeam.color, altColor: game.homeTeam.altColor, record: game.homeTeam.record },
+        { abbreviation: 'GB', color: '203731', altColor: 'ffb612', record: '5-1' }
+    )
+    assert.equal(game.awayTeam.record, null)
+    assert.deepEqual(game.venue, { name: 'Lambeau Field', city: 'Green Bay', state: 'WI' })
+    assert.deepEqual(game.broadcasts, [{ name: 'FOX', type: 'TV', market: 'National' }])
+    assert.equal(game.neutralSite, false)
+    assert.equal(game.startTime, '2026-10-18T17:00:00.000Z')
+})
+
+test('falls back to the plain broadcasts list', () => {
+    const [game] = normalizeScoreboard(getLeague('NFL'), {
+        events: [espnEvent({ competition: { broadcasts: [{ market: 'national', names: ['CBS', 'Paramount+'] }] } })]
+    })
+    assert.deepEqual(game.broadcasts, [{ name: 'CBS', type: 'TV', market: 'national' }, { name: 'Paramount+', type: 'TV', market: 'national' }])
+})
+
+test('rejects a scoreboard without an events array', () => {
+    assert.throws(() => normalizeScoreboard(getLeague('NFL'), {}), /Malformed NFL scoreboard/)
+})
+
+test('parses the live situation by sport, with the side that has possession', () => {
+    const live = (league, situation, competition = {}) => normalizeScoreboard(getLeague(league), {
+        events: [espnEvent({ state: 'in', competition: { situation, ...competition } })]
+    })[0].situation
+
+    assert.deepEqual(live('NFL', { down: 3, distance: 7, yardLine: 18, shortDownDistanceText: '3rd & 7', possession: '3', isRedZone: true }), {
+        sport: 'football',
+        down: 3,
+        distance: 7,
+        yardLine: 18,
+        downDistanceText: '3rd & 7',
+        possession: 'away',
+        isRedZone: true,
+        homeTimeouts: null,
+        awayTimeouts: null
+    })
+
+    const baseball = live('MLB', { balls: 2, strikes: 1, outs: 2, onFirst: true, onThird: true, batter: { athlete: { shortName: 'A. Judge' } } })
+    assert.deepEqual(
+        [baseball.balls, baseball.strikes, baseball.outs, baseball.onFirst, baseball.onSecond, baseball.onThird, baseball.batter, baseball.pitcher],
+        [2, 1, 2, true, false, true, 'A. Judge', null]
+    )
+
+    // Hockey's power play may only show on the competitor
+    const hockey = live('NHL', {}, {
+        competitors: [
+            { homeAway: 'home', team: { id: '9' }, powerPlay: true },
+            { homeAway: 'away', team: { id: '3' } }
+        ]
+    })
+    assert.deepEqual(hockey, { sport: 'hockey', powerPlay: 'home', strength: null })
+
+    const basketball = live('NBA', { homeTimeouts: 2, homeFouls: { bonusState: 'BONUS', teamFoulsCurrent: 6 } })
+    assert.equal(basketball.homeBonus, 'BONUS')
+    assert.equal(basketball.homeTeamFouls, 6)
+    assert.equal(basketball.awayBonus, null)
+})
+
+test('only games in progress have a situation, and only for known sports', () => {
+    const situation = { down: 1, distance: 10 }
+    const [pre] = normalizeScoreboard(getLeague('NFL'), { events: [espnEvent({ competition: { situation } })] })
+    assert.equal(pre.situation, null)
+
+    const [soccer] = normalizeScoreboard(getLeague('MLS'), { events: [espnEvent({ state: 'in', competition: { situation } })] })
+    assert.equal(soccer.situation, null)
+
+    const [noBlock] = normalizeScoreboard(getLeague('NFL'), { events: [espnEvent({ state: 'in' })] })
+    assert.equal(noBlock.situation, null)
+})
@@ -0,0 +1,58 @@
+// filters.test.js covers filter validation (see filters.js normalizeFilter).
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { normalizeFilter, FilterValidationError } = require('../filters')
+
+test('no filter means every game', () => {
+    assert.deepEqual(normalizeFilter(undefined), {})
+    assert.deepEqual(normalizeFilter(null), {})
+    assert.deepEqual(normalizeFilter({}), {})
+})
+
+test('reads the legacy string array', () => {
+    assert.deepEqual(normalizeFilter(['NFL', 'state_in', 'NFL']), { leagues: ['NFL'], states: ['in'] })
+    assert.throws(() => normalizeFilter(['XFL']), FilterValidationError)
+})
+
+test('normalizes a structured filter', () => {
+    assert.deepEqual(
+        normalizeFilter({
+            leagues: ['NFL', 'NBA', 'NFL'],
+            states: ['pre'],
+            teams: ['KC'],
+            start_from: '2026-10-18T00:00Z',
+            search: '  lambeau ',
+            sort: { field: 'start_time' }
+        }),
+        {
+            leagues: ['NFL', 'NBA'],
+            states: ['pre'],
+            teams: ['KC'],
+            start_from: new Date('2026-10-18T00:00Z'),
+            search: 'lambeau',
+            sort: { field: 'start_time', direction: 'asc' }
+        }
+    )
+})
+
+test('drops empty lists and blank searches', () => {
+    assert.deepEqual(normalizeFilter({ leagues: [], search: '   ' }), {})
+})
+
+test('reports every problem at once', () => {
+    assert.throws(
+        () => normalizeFilter({ leagues: ['XFL'], states: ['halftime'], start_to: 'soon', sort: { field: 'venue' }, colour: 'red' }),
+        (err) => {
+            assert.ok(err instanceof FilterValidationError)
+            assert.equal(err.details.length, 5)
+            return true
+        }
+    )
+})
+
+test('rejects filters that are not an array or an object', () => {
+    assert.throws(() => normalizeFilter('NFL'), FilterValidationError)
+    assert.throws(() => normalizeFilter({ teams: 'KC' }), /teams must be an array of strings/)
+    assert.throws(() => normalizeFilter({ sort: { field: 'league', direction: 'up' } }), /sort.direction/)
+})
@@ -0,0 +1,67 @@
+// gameEvents.test.js covers the lifecycle events ingest publishes (see gameEvents.js).
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+
+const { detectGameEvents } = require('../gameEvents')
+
+const team = (name, score) => ({ id: name, name, abbreviation: name.toUpperCase(), score })
+
+// A stored row (column names) and the freshly ingested game (ingest shape) for the same game
+function stored({ state, home = 0, away = 0, detail = '', period = null }) {
+    return { state, home_team_score: home, away_team_score: away, short_detail: detail, period }
+}
+
+function ingested({ state, home = 0, away = 0, detail = '', period = null, league = 'NFL' }) {
+    return { league, externalGameId: '101', homeTeam: team('gb', home), awayTeam: team('chi', away), state, shortDetail: detail, period }
+}
+
+const typesOf = events => events.map(event => event.type)
+
+test('a game seen for the first time produces no events', () => {
+    assert.deepEqual(detectGameEvents(undefined, ingested({ state: 'in', home: 7 })), [])
+})
+
+test('an unchanged game produces no events', () => {
+    assert.deepEqual(
+        detectGameEvents(stored({ state: 'in', home: 7, detail: '5:00 - 2nd', period: 2 }), ingested({ state: 'in', home: 7, detail: '4:12 - 2nd', period: 2 })),
+        []
+    )
+})
+
+test('detects kickoff, scores, period changes and the final', () => {
+    assert.deepEqual(typesOf(detectGameEvents(stored({ state: 'pre' }), ingested({ state: 'in', detail: '15:00 - 1st' }))), ['game_started'])
+    assert.deepEqual(
+        typesOf(detectGameEvents(stored({ state: 'in', detail: '0:12 - 1st', period: 1 }), ingested({ state: 'in', home: 3, detail: '15:00 - 2nd', period: 2 }))),
+        ['score_changed', 'period_changed']
+    )
+    assert.deepEqual(typesOf(detectGameEvents(stored({ state: 'in', home: 3 }), ingested({ state: 'post', home: 3, detail: 'Final' }))), ['game_final'])
+})
+
+test('score_changed carries the old and new score', () => {
+    const [event] = detectGameEvents(stored({ state: 'in', home: 7, away: 3 }), ingested({ state: 'in', home: 7, away: 10 }))
+    assert.deepEqual(event.old_score, { home: 7, away: 3 })
+    assert.deepEqual(event.new_score, { home: 7, away: 10 })
+    assert.equal(event.external_game_id, '101')
+    assert.equal(event.home_team_abbreviation, 'GB')
+})
+
+test('period_changed compares the provider\'s period, not the clock text', () => {
+    const [event] = detectGameEvents(stored({ state: 'in', detail: '0:00 - 1st', period: 1 }), ingested({ state: 'in', detail: 'End of 1st', period: 1 }))
+    assert.equal(event, undefined)
+
+    const [changed] = detectGameEvents(stored({ state: 'in', detail: '0:30 - 2nd', period: 2 }), ingested({ state: 'in', detail: '15:00 - 3rd', period: 3 }))
+    assert.equal(changed.type, 'period_changed')
+    assert.equal(changed.old_period, 2)
+    assert.equal(changed.new_period, 3)
+})
+
+test('a soccer clock ticking within a half is no period change', () => {
+    const soccer = (detail, period) => [stored({ state: 'in', detail: '66\'', period: 2 }), ingested({ league: 'MLS', state: 'in', detail, period })]
+    assert.deepEqual(detectGameEvents(...soccer('67\'', 2)), [])
+    assert.deepEqual(detectGameEvents(...soccer('90\'+2\'', 2)), [])
+    assert.deepEqual(typesOf(detectGameEvents(...soccer('91\'', 3))), ['period_changed'])
+})
+
+test('no period_changed while either period is unknown', () => {
+    assert.deepEqual(detectGameEvents(stored({ state: 'in', detail: '45\'+2\'' }), ingested({ state: 'in', detail: 'HT', period: 1 })), [])
+})
@@ -0,0 +1,194 @@
+// helpers.js starts the API in-process for the tests that talk to it over WebSocket, SSE or REST, and
+// plays the client: it collects what the server sends and keeps the games a client would hold.
+// Set STORAGE_BACKEND (and API_AUTH) before requiring it.
+const WebSocket = require('ws')
+const { initStorage, replaceLeagueGames } = require('../dbQueries')
+const { publish } = require('../notifier')
+const { detectGameEvents } = require('../gameEvents')
+
+const WAIT_TIMEOUT_MS = 2000
+
+/**
+ * Start the API on a free port; resolves to its base URL and a close() for after()
+ */
+async function startServer() {
+    await initStorage()
+    // Required here, so a test can wrap dbQueries functions before api.js picks them up
+    const { startApiServer } = require('../api')
+    const server = await startApiServer(0)
+    const url = `http://localhost:${server.address().port}`
+
+    return {
+        url,
+        wsUrl: `${url.replace('http', 'ws')}/ws`,
+        close: () => {
+            server.closeAllConnections()
+            return new Promise(resolve => server.close(resolve))
+        }
+    }
+}
+
+/**
+ * Resolve once `check` returns something truthy, polling until WAIT_TIMEOUT_MS
+ */
+async function waitFor(check, what = 'condition') {
+    const started = Date.now()
+    for (;;) {
+        const result = check()
+        if (result) return result
+        if (Date.now() - started > WAIT_TIMEOUT_MS) throw new Error(`Timed out waiting for ${what}`)
+        await new Promise(resolve => setTimeout(resolve, 5))
+    }
+}
+
+/**
+ * Open a WebSocket; resolves once the server's welcome and leagues messages are in.
+ * `messages` collects everything the server sends, and request() sends a message and
+ * resolves to its replies, up to and including the ack or error.
+ */
+async function connect(wsUrl, headers = {}) {
+    const ws = new WebSocket(wsUrl, { headers })
+    const messages = []
+    let nextId = 1
+    ws.on('message', text => messages.push(JSON.parse(text)))
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve)
+        ws.once('error', reject)
+    })
+    await waitFor(() => messages.some(message => message.type === 'leagues'), 'leagues')
+
+    const client = {
+        ws,
+        messages,
+        send(type, fields = {}) {
+            const id = `r${nextId++}`
+            ws.send(JSON.stringify({ v: 1, id, type, ...fields }))
+            return id
+        },
+        repliesTo(id) {
+            return messages.filter(message => message.id === id)
+        },
+        async request(type, fields) {
+            const id = client.send(type, fields)
+            await waitFor(() => client.repliesTo(id).some(message => message.type === 'ack' || message.type === 'error'), `reply to ${type}`)
+            return client.repliesTo(id)
+        },
+        next(type, after = messages.length) {
+            return waitFor(() => messages.slice(after).find(message => message.type === type), type)
+        },
+        close() {
+            ws.terminate()
+        }
+    }
+    return client
+}
+
+/**
+ * Open GET /api/stream (path includes the query); resolves once the server's welcome or
+ * resumed message is in. `events` collects each event's id and parsed message.
+ */
+async function openEventStream(url, path = '/api/stream', headers = {}) {
+    const aborter = new AbortController()
+    const res = await fetch(`${url}${path}`, { headers, signal: aborter.signal })
+    if (res.status !== 200) throw new Error(`Event stream answered ${res.status}`)
+
+    const events = []
+    const decoder = new TextDecoder()
+    let buffered = ''
+    const read = (async () => {
+        for await (const chunk of res.body) {
+            buffered += decoder.decode(chunk, { stream: true })
+            const blocks = buffered.split('\n\n')
+            buffered = blocks.pop()
+            for (const block of blocks) {
+                const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+                    const colon = line.indexOf(':')
+                    return [line.slice(0, colon), line.slice(colon + 1).trimStart()]
+                }))
+                if (fields.data !== undefined) events.push({ id: fields.id, message: JSON.parse(fields.data) })
+            }
+        }
+    })().catch(() => {})  // aborted
+
+    const stream = {
+        events,
+        get messages() {
+            return events.map(event => event.message)
+        },
+        next(type, after = events.length) {
+            return waitFor(() => events.slice(after).find(event => event.message.type === type), type)
+        },
+        async close() {
+            aborter.abort()
+            await read
+        }
+    }
+    await waitFor(() => events.some(event => ['welcome', 'resumed'].includes(event.message.type)), 'the stream to open')
+    return stream
+}
+
+/**
+ * The games a client holds after applying `messages` in order, keyed by league:external_game_id
+ * (what the dashboard does with snapshots and deltas)
+ */
+function heldGames(messages) {
+    const held = new Map()
+    const keyOf = game => `${game.league}:${game.external_game_id}`
+    for (const message of messages) {
+        switch (message.type) {
+            case 'filtered_data':
+                held.clear()
+                for (const game of message.data) held.set(keyOf(game), game)
+                break
+            case 'subscribed':
+            case 'game_added':
+                for (const game of message.data || [message.game]) held.set(keyOf(game), game)
+                break
+            case 'game_changed':
+                held.set(keyOf(message), { ...held.get(keyOf(message)), ...message.changes })
+                break
+            case 'game_removed':
+                held.delete(keyOf(message))
+                break
+        }
+    }
+    return held
+}
+
+/**
+ * A normalized game (ingest shape, see storage/common.js gameToRow)
+ */
+function makeGame(league, externalGameId, { home = 'Home', away = 'Away', state = 'pre', homeScore = 0, awayScore = 0, start = '2026-10-18T17:00:00Z' } = {}) {
+    const team = (name, score) => ({ id: name.toLowerCase(), name, abbreviation: name.slice(0, 3).toUpperCase(), logo: null, score })
+    return {
+        league,
+        externalGameId,
+        link: null,
+        homeTeam: team(home, homeScore),
+        awayTeam: team(away, awayScore),
+        startTime: start,
+        shortDetail: state === 'pre' ? 'Scheduled' : 'Live',
+        state,
+        venue: null,
+        broadcasts: [],
+        neutralSite: false,
+        situation: null
+    }
+}
+
+/**
+ * Store a league's games and announce them with their lifecycle events, as ingest does;
+ * resolves once the broadcast has run
+ */
+async function ingest(league, games) {
+    const previous = new Map((await replaceLeagueGames(league, games)).map(row => [row.external_game_id, row]))
+    for (const game of games) {
+        for (const event of detectGameEvents(previous.get(game.externalGameId), game)) {
+            await publish({ type: 'game_event', event })
+        }
+    }
+    await publish({ type: 'league_updated', league })
+    await new Promise(resolve => setTimeout(resolve, 20))
+}
+
+module.exports = { startServer, waitFor, connect, openEventStream, heldGames, makeGame, ingest }
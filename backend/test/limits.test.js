@@ -0,0 +1,54 @@
+// limits.test.js covers the inbound token bucket (see limits.js).
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.WS_RATE_BURST = '10'
+process.env.WS_RATE_PER_SEC = '2'
+
+const { createRateLimiter, messageCost, takeTokens } = require('../limits')
+
+/**
+ * Freeze Date.now for the test; returns a function that moves it forward
+ */
+function freezeClock(t) {
+    let now = Date.now()
+    t.mock.method(Date, 'now', () => now)
+    return (ms) => { now += ms }
+}
+
+test('allows a burst, then asks the client to wait until tokens are back', (t) => {
+    freezeClock(t)
+    const limiter = createRateLimiter()
+
+    assert.equal(takeTokens(limiter, 5), 0)
+    assert.equal(takeTokens(limiter, 5), 0)
+    assert.equal(takeTokens(limiter, 1), 500)  // one token at 2 per second
+    assert.equal(takeTokens(limiter, 4), 2000)
+})
+
+test('refills over time, up to the burst', (t) => {
+    const tick = freezeClock(t)
+    const limiter = createRateLimiter()
+    assert.equal(takeTokens(limiter, 10), 0)
+
+    tick(1000)
+    assert.equal(takeTokens(limiter, 2), 0)
+    assert.equal(takeTokens(limiter, 1), 500)
+
+    tick(60_000)
+    assert.equal(takeTokens(limiter, 10), 0)
+    assert.ok(takeTokens(limiter, 1) > 0)
+})
+
+test('never asks for more than a full burst', (t) => {
+    freezeClock(t)
+    const limiter = createRateLimiter()
+    assert.equal(takeTokens(limiter, 50), 0)
+    assert.equal(takeTokens(limiter, 50), 5000)
+})
+
+test('charges queries more than other messages', () => {
+    assert.equal(messageCost('filter_request'), 5)
+    assert.equal(messageCost('ping'), 1)
+    assert.equal(messageCost(undefined), 1)
+})
@@ -0,0 +1,56 @@
+// metrics.test.js checks what ingest and storage record in the Prometheus metrics (see metrics.js).
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.SCORE_PROVIDER = 'fixture'
+
+const { register } = require('prom-client')
+const { initStorage, replaceLeagueGames } = require('../dbQueries')
+const { getLeague } = require('../leagueConfigs')
+const { ingestData } = require('../ingest')
+
+/**
+ * Samples of a histogram's _count series matching the labels
+ */
+async function histogramCount(name, labels) {
+    const { values } = await register.getSingleMetric(name).get()
+    return values
+        .filter(sample => sample.metricName === `${name}_count`)
+        .filter(sample => Object.entries(labels).every(([label, value]) => sample.labels[label] === value))
+        .reduce((sum, sample) => sum + sample.value, 0)
+}
+
+before(async () => {
+    await initStorage()
+})
+
+test('times failed fetches too, by outcome', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    fs.writeFileSync(path.join(dir, 'NFL.json'), '{ not json')
+    fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'NFL.json'), path.join(dir, 'NBA.json'))
+    process.env.FIXTURE_DIR = dir
+
+    const failed = await ingestData([getLeague('NFL'), getLeague('NBA')])
+    assert.deepEqual(failed, ['NFL'])
+    assert.equal(await histogramCount('ingest_fetch_duration_seconds', { league: 'NFL', outcome: 'error' }), 1)
+    assert.equal(await histogramCount('ingest_fetch_duration_seconds', { league: 'NBA', outcome: 'success' }), 1)
+})
+
+test('times every upsert inside replaceLeagueGames', async () => {
+    const upserts = () => histogramCount('db_operation_duration_seconds', { operation: 'upsertGame' })
+    const replaces = () => histogramCount('db_operation_duration_seconds', { operation: 'replaceLeagueGames' })
+    const [upsertsBefore, replacesBefore] = [await upserts(), await replaces()]
+    const game = (id) => ({
+        league: 'NHL', externalGameId: id, homeTeam: { name: 'A', score: 0 }, awayTeam: { name: 'B', score: 0 },
+        startTime: '2026-10-18T23:00:00Z', shortDetail: 'Scheduled', state: 'pre'
+    })
+
+    await replaceLeagueGames('NHL', [game('1'), game('2')])
+    assert.equal(await upserts() - upsertsBefore, 2)
+    assert.equal(await replaces() - replacesBefore, 1)
+})
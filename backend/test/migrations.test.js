@@ -0,0 +1,42 @@
+// migrations.test.js checks that SQLite gets the schema from the same versioned migrations as Postgres (see migrate.js).
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const Database = require('better-sqlite3')
+
+const { loadSqliteMigrations, runSqliteMigrations } = require('../migrate')
+const { gameToRow } = require('../storage/common')
+
+const columnsOf = (db, table) => db.prepare(`PRAGMA table_info(${table});`).all().map(column => column.name)
+const appliedVersions = db => db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(row => row.version)
+
+test('every Postgres migration has a SQLite version', async () => {
+    const migrations = await loadSqliteMigrations()
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((m, index) => index + 1))
+})
+
+test('creates every games column a stored game needs, once', async () => {
+    const db = new Database(':memory:')
+    const applied = await runSqliteMigrations(db)
+    assert.equal(applied.length, (await loadSqliteMigrations()).length)
+
+    const game = gameToRow({ league: 'NFL', externalGameId: '1', homeTeam: {}, awayTeam: {}, startTime: 0 })
+    const columns = columnsOf(db, 'games')
+    for (const column of [...Object.keys(game), 'id', 'version', 'updated_at']) assert.ok(columns.includes(column), column)
+    for (const table of ['game_snapshots', 'league_status', 'api_keys', 'counters']) assert.ok(columnsOf(db, table).length > 0, table)
+
+    assert.deepEqual(await runSqliteMigrations(db), [])
+    db.close()
+})
+
+test('adopts a file created by the inline schema without applying it again', async () => {
+    const db = new Database(':memory:')
+    db.exec(`
+        CREATE TABLE games (id INTEGER PRIMARY KEY AUTOINCREMENT, league TEXT NOT NULL, external_game_id TEXT NOT NULL,
+            start_time TEXT NOT NULL, version INTEGER NOT NULL DEFAULT 0, updated_at TEXT NOT NULL DEFAULT '');
+        CREATE TABLE counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL);
+    `)
+
+    await runSqliteMigrations(db)
+    assert.deepEqual(appliedVersions(db).slice(0, 7), [1, 2, 3, 4, 5, 6, 7])
+    db.close()
+})
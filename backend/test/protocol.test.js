@@ -0,0 +1,93 @@
+// protocol.test.js checks the WebSocket protocol (see protocol.js): messages are validated against the
+// schema, every failure is answered with an error carrying its code and the message's id, and every
+// handled message with an ack.
+const { test, describe, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.API_AUTH = 'off'
+
+const { PROTOCOL_VERSION, ProtocolError, validateClientMessage, validateServerMessage } = require('../protocol')
+const { startServer, waitFor, connect } = require('./helpers')
+
+describe('validateClientMessage', () => {
+    const codeOf = (data) => {
+        try {
+            validateClientMessage(data)
+            return null
+        } catch (err) {
+            assert.ok(err instanceof ProtocolError)
+            return err.code
+        }
+    }
+
+    test('accepts valid messages, with or without a version', () => {
+        assert.equal(codeOf({ v: PROTOCOL_VERSION, id: 'a', type: 'filter_request', filters: { leagues: ['NFL'] } }), null)
+        assert.equal(codeOf({ type: 'ping', client_time: 1 }), null)
+    })
+
+    test('names what is wrong with an invalid message', () => {
+        assert.equal(codeOf([]), 'validation_failed')
+        assert.equal(codeOf({ v: 2, type: 'ping' }), 'unsupported_version')
+        assert.equal(codeOf({ type: 'games_please' }), 'unknown_type')
+        assert.equal(codeOf({ type: 'subscribe' }), 'validation_failed')
+        assert.equal(codeOf({ type: 'subscribe', topics: 'league:NFL' }), 'validation_failed')
+    })
+})
+
+test('validateServerMessage lists the problems with an outbound message', () => {
+    const pong = { v: PROTOCOL_VERSION, seq: 1, timestamp: Date.now(), type: 'pong', client_time: 5, server_time: Date.now() }
+    assert.deepEqual(validateServerMessage(pong), [])
+    assert.ok(validateServerMessage({ ...pong, seq: 'one' }).length > 0)
+    assert.deepEqual(validateServerMessage({ type: 'nope' }), ['unknown server message type "nope"'])
+})
+
+describe('over the WebSocket', () => {
+    let server
+    let client
+
+    before(async () => {
+        server = await startServer()
+        client = await connect(server.wsUrl)
+    })
+
+    after(async () => {
+        client.close()
+        await server.close()
+    })
+
+    const rawReply = async (text, id) => {
+        const from = client.messages.length
+        client.ws.send(text)
+        return waitFor(() => client.messages.slice(from).find(message => message.type === 'error' && message.id === id), `error for ${text}`)
+    }
+
+    test('answers each message with its replies and an ack carrying its id', async () => {
+        const replies = await client.request('ping', { client_time: 5 })
+        assert.deepEqual(replies.map(message => message.type), ['pong', 'ack'])
+        assert.equal(replies[1].request_type, 'ping')
+        assert.ok(replies[1].seq > replies[0].seq)
+    })
+
+    test('reports a failed message with an error code instead of an ack', async () => {
+        assert.equal((await rawReply('{not json', undefined)).code, 'invalid_json')
+        assert.equal((await rawReply(JSON.stringify({ v: 9, id: 'v9', type: 'ping' }), 'v9')).code, 'unsupported_version')
+
+        const unknown = await rawReply(JSON.stringify({ v: 1, id: 'u1', type: 'games_please' }), 'u1')
+        assert.equal(unknown.code, 'unknown_type')
+        assert.equal(unknown.request_type, 'games_please')
+
+        const [invalid] = await client.request('filter_request', { filters: { states: ['halftime'] } })
+        assert.equal(invalid.code, 'validation_failed')
+        assert.ok(invalid.details.length > 0)
+        assert.ok(!client.messages.some(message => message.type === 'ack' && message.id === invalid.id))
+    })
+
+    test('serves the schema at GET /api/protocol', async () => {
+        const res = await fetch(`${server.url}/api/protocol`)
+        assert.equal(res.status, 200)
+        const schema = await res.json()
+        assert.ok(schema.clientMessages.filter_request)
+        assert.ok(schema.serverMessages.game_changed)
+    })
+})
@@ -0,0 +1,45 @@
+// sessions.test.js covers the replay buffer behind `resume` (see sessions.js).
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.WS_REPLAY_BUFFER_SIZE = '3'
+
+const { createSession, deleteSession, nextSeq, recordPush, missedSince } = require('../sessions')
+
+/**
+ * A session that sent `count` messages, of which the even-numbered were pushes
+ */
+function sessionWithMessages(count) {
+    const session = createSession(null)
+    for (let i = 0; i < count; i++) {
+        const seq = nextSeq(session)
+        if (seq % 2 === 0) recordPush(session, seq, `push ${seq}`)
+    }
+    return session
+}
+
+test('replays the pushes after lastSeq', () => {
+    const session = sessionWithMessages(5)
+    assert.deepEqual(missedSince(session, 1), ['push 2', 'push 4'])
+    assert.deepEqual(missedSince(session, 3), ['push 4'])
+    deleteSession(session)
+})
+
+test('has nothing to replay for a client that is up to date', () => {
+    const session = sessionWithMessages(5)
+    assert.deepEqual(missedSince(session, 5), [])
+    deleteSession(session)
+})
+
+test('refuses a lastSeq the session never sent', () => {
+    const session = sessionWithMessages(5)
+    assert.equal(missedSince(session, 6), null)
+    deleteSession(session)
+})
+
+test('refuses once a missed push was evicted from the buffer', () => {
+    const session = sessionWithMessages(9)  // pushes 2, 4, 6, 8; push 2 is evicted
+    assert.deepEqual(missedSince(session, 2), ['push 4', 'push 6', 'push 8'])
+    assert.equal(missedSince(session, 1), null)
+    deleteSession(session)
+})
@@ -0,0 +1,97 @@
+// sse.test.js checks GET /api/stream (see sse.js): the stream opens like a WebSocket session with its
+// filter and topics taken from the query, carries the same deltas, and resumes from Last-Event-ID.
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.API_AUTH = 'off'
+
+const { parseEventId } = require('../sse')
+const { startServer, openEventStream, heldGames, makeGame, ingest } = require('./helpers')
+
+let server
+const streams = []
+
+async function open(path, headers) {
+    const stream = await openEventStream(server.url, path, headers)
+    streams.push(stream)
+    return stream
+}
+
+const keysOf = held => [...held.keys()].sort()
+
+before(async () => {
+    server = await startServer()
+    await ingest('NFL', [makeGame('NFL', '1', { state: 'in' }), makeGame('NFL', '2')])
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks' })])
+})
+
+after(async () => {
+    for (const stream of streams) await stream.close()
+    await server.close()
+})
+
+test('opens with welcome, leagues and a snapshot for the query\'s filter', async () => {
+    const stream = await open('/api/stream?leagues=NFL&states=in')
+    await stream.next('filtered_data', 0)
+
+    assert.deepEqual(stream.messages.map(message => message.type), ['welcome', 'leagues', 'filtered_data'])
+    assert.deepEqual(keysOf(heldGames(stream.messages)), ['NFL:1'])
+
+    const sessionId = stream.messages[0].session_id
+    assert.deepEqual(stream.events.map(event => event.id), stream.messages.map(message => `${sessionId}:${message.seq}`))
+})
+
+test('subscribes to the query\'s topics and follows every game without a query', async () => {
+    const topics = await open('/api/stream?topics=team:NBA:CEL')
+    await topics.next('subscribed', 0)
+    assert.ok(!topics.messages.some(message => message.type === 'filtered_data'))
+    assert.deepEqual(keysOf(heldGames(topics.messages)), ['NBA:10'])
+
+    const everything = await open('/api/stream')
+    await everything.next('filtered_data', 0)
+    assert.deepEqual(keysOf(heldGames(everything.messages)), ['NBA:10', 'NFL:1', 'NFL:2'])
+})
+
+test('carries deltas like the WebSocket', async () => {
+    const stream = await open('/api/stream?leagues=NFL')
+    await stream.next('filtered_data', 0)
+
+    const from = stream.events.length
+    await ingest('NFL', [makeGame('NFL', '1', { state: 'in', homeScore: 3 }), makeGame('NFL', '2')])
+    const changed = (await stream.next('game_changed', from)).message
+    assert.deepEqual(changed.changes.home_team_score, 3)
+})
+
+test('resumes from Last-Event-ID, replaying what was missed', async () => {
+    const stream = await open('/api/stream?leagues=NBA')
+    await stream.next('filtered_data', 0)
+    const lastEventId = stream.events[stream.events.length - 1].id
+    await stream.close()
+
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks', awayScore: 2 })])
+
+    // The query is ignored: a resumed stream keeps its session's filter
+    const resumed = await open('/api/stream?leagues=NFL', { 'Last-Event-ID': lastEventId })
+    assert.deepEqual(resumed.messages.map(message => message.type), ['score_changed', 'game_changed', 'resumed'])
+    assert.equal(resumed.messages[1].external_game_id, '10')
+    assert.equal(resumed.events[0].id.split(':')[0], lastEventId.split(':')[0])
+})
+
+test('starts a new session for an unknown Last-Event-ID', async () => {
+    const stream = await open('/api/stream?last_event_id=00000000-0000-0000-0000-000000000000:4')
+    assert.equal(stream.messages[0].type, 'welcome')
+})
+
+test('answers 400 to an invalid query', async () => {
+    for (const query of ['states=halftime', 'topics=league:XFL']) {
+        const res = await fetch(`${server.url}/api/stream?${query}`)
+        assert.equal(res.status, 400, query)
+    }
+})
+
+test('parseEventId reads only our event ids', () => {
+    assert.deepEqual(parseEventId('5f0c8a52-7d5e-4c43-9a55-3c1a2b8e9d10:12'), { sessionId: '5f0c8a52-7d5e-4c43-9a55-3c1a2b8e9d10', lastSeq: 12 })
+    assert.equal(parseEventId('12'), null)
+    assert.equal(parseEventId(undefined), null)
+})
@@ -0,0 +1,168 @@
+// storage.test.js runs the memory and sqlite backends through the same queries and checks that they
+// agree with each other: filters and sorts (see filters.js), cursor paging as GET /api/games does it
+// (see gamesQuery.js), getGamesVersion, the rows replaceLeagueGames hands back and game timelines.
+const { test, describe, before } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.SQLITE_PATH = ':memory:'
+
+const { normalizeFilter } = require('../filters')
+const { parseGamesQuery, encodeCursor } = require('../gamesQuery')
+
+const backends = {
+    memory: require('../storage/memory'),
+    sqlite: require('../storage/sqlite')
+}
+
+/**
+ * A normalized game (ingest shape, see storage/common.js gameToRow)
+ */
+function makeGame(league, externalGameId, { home, away, state = 'pre', start, homeScore = 0, awayScore = 0, detail = 'Scheduled' }) {
+    const team = (name, score) => ({ id: name.slice(0, 2), name, abbreviation: name.slice(0, 3).toUpperCase(), logo: null, score })
+    return {
+        league,
+        externalGameId,
+        link: null,
+        homeTeam: team(home, homeScore),
+        awayTeam: team(away, awayScore),
+        startTime: start,
+        shortDetail: detail,
+        state,
+        venue: { name: `${home} Stadium`, city: null, state: null },
+        broadcasts: [],
+        neutralSite: false,
+        situation: null
+    }
+}
+
+const NFL_GAMES = [
+    makeGame('NFL', '101', { home: 'Packers', away: 'Bears', state: 'in', start: '2026-10-18T17:00:00Z', homeScore: 7, awayScore: 3, detail: '7:23 - 2nd' }),
+    makeGame('NFL', '102', { home: 'Chiefs', away: 'Raiders', state: 'pre', start: '2026-10-18T20:25:00Z' }),
+    makeGame('NFL', '103', { home: 'Eagles', away: 'Cowboys', state: 'post', start: '2026-10-18T17:00:00Z', homeScore: 24, awayScore: 20, detail: 'Final' }),
+    makeGame('NFL', '104', { home: 'Packers', away: 'Lions', state: 'pre', start: '2026-10-25T17:00:00Z' })
+]
+const NBA_GAMES = [
+    makeGame('NBA', '201', { home: 'Celtics', away: 'Knicks', state: 'in', start: '2026-10-18T23:30:00Z', homeScore: 55, awayScore: 60, detail: 'Halftime' }),
+    makeGame('NBA', '202', { home: 'Lakers', away: 'Celtics', state: 'pre', start: '2026-10-19T02:00:00Z' }),
+    makeGame('NBA', '203', { home: 'Bulls', away: 'Heat', state: 'post', start: '2026-10-18T17:00:00Z', homeScore: 101, awayScore: 99, detail: 'Final' })
+]
+
+const keysOf = rows => rows.map(row => `${row.league}:${row.external_game_id}`)
+
+/**
+ * Every page of a GET /api/games query, following the cursors like a client would
+ */
+async function pageThrough(storage, query, pageSize) {
+    const pages = []
+    let cursor
+    do {
+        const { filter, limit } = parseGamesQuery({ ...query, limit: String(pageSize), ...(cursor && { cursor }) })
+        const games = await storage.queryGames({ ...filter, limit: limit + 1 })
+        const page = games.slice(0, limit)
+        pages.push(keysOf(page))
+        cursor = games.length > page.length ? encodeCursor(page[page.length - 1], filter) : null
+    } while (cursor)
+    return pages
+}
+
+const QUERIES = [
+    {},
+    { leagues: 'NFL' },
+    { states: 'pre,in' },
+    { teams: 'Packers' },
+    { search: 'celtics' },
+    { start_from: '2026-10-18T18:00:00Z', start_to: '2026-10-19T00:00:00Z' },
+    { sort: 'start_time' },
+    { sort: 'start_time', direction: 'desc' },
+    { sort: 'home_team_name' },
+    { sort: 'state', direction: 'desc', leagues: 'NBA,NFL' }
+]
+
+for (const [name, storage] of Object.entries(backends)) {
+    describe(`${name} storage`, () => {
+        before(async () => {
+            await storage.init()
+            await storage.replaceLeagueGames('NFL', NFL_GAMES)
+            await storage.replaceLeagueGames('NBA', NBA_GAMES)
+        })
+
+        test('filters games', async () => {
+            assert.deepEqual(keysOf(await storage.queryGames(normalizeFilter({ leagues: ['NBA'], states: ['in'] }))), ['NBA:201'])
+            assert.deepEqual(
+                keysOf(await storage.queryGames(normalizeFilter({ teams: ['Packers'], sort: { field: 'start_time' } }))),
+                ['NFL:101', 'NFL:104']
+            )
+            assert.deepEqual(keysOf(await storage.queryGames(normalizeFilter({ search: 'eagles stadium' }))), ['NFL:103'])
+        })
+
+        test('lists live games first without a sort', async () => {
+            const states = (await storage.queryGames({})).map(row => row.state)
+            assert.deepEqual(states.slice(0, 2), ['in', 'in'])
+            assert.equal(states.length, NFL_GAMES.length + NBA_GAMES.length)
+        })
+
+        test('pages through every game exactly once, in order', async () => {
+            for (const query of QUERIES) {
+                const { filter } = parseGamesQuery(query)
+                const all = keysOf(await storage.queryGames(filter))
+                for (const pageSize of [1, 2, 3]) {
+                    const pages = await pageThrough(storage, query, pageSize)
+                    assert.deepEqual(pages.flat(), all, `${JSON.stringify(query)} in pages of ${pageSize}`)
+                    assert.ok(pages.every(page => page.length <= pageSize))
+                }
+            }
+        })
+
+        test('moves the version only when a game changes', async () => {
+            const before = await storage.getGamesVersion()
+            assert.equal(before.count, NFL_GAMES.length + NBA_GAMES.length)
+
+            await storage.replaceLeagueGames('NFL', NFL_GAMES)
+            assert.deepEqual(await storage.getGamesVersion(), before)
+
+            const scored = NFL_GAMES.map(game => game.externalGameId === '101'
+                ? { ...game, homeTeam: { ...game.homeTeam, score: 14 } }
+                : game)
+            await storage.replaceLeagueGames('NFL', scored)
+            const after = await storage.getGamesVersion()
+            assert.equal(after.count, before.count)
+            assert.ok(after.version > before.version)
+
+            const changed = await storage.queryGames({ since_version: before.version })
+            assert.deepEqual(keysOf(changed), ['NFL:101'])
+            assert.ok((await storage.getGamesVersion('NBA')).version < after.version)
+        })
+
+        test('replaceLeagueGames returns the rows it replaced and drops games the feed no longer lists', async () => {
+            const previous = await storage.replaceLeagueGames('NBA', NBA_GAMES.slice(0, 2))
+            assert.deepEqual(keysOf(previous).sort(), ['NBA:201', 'NBA:202', 'NBA:203'])
+            assert.equal(previous.find(row => row.external_game_id === '201').home_team_score, 55)
+
+            assert.deepEqual(keysOf(await storage.getGamesByLeague('NBA')).sort(), ['NBA:201', 'NBA:202'])
+            assert.equal(await storage.getGame('NBA', '203'), null)
+            await storage.replaceLeagueGames('NBA', NBA_GAMES)
+        })
+
+        test('records a timeline row only when the score, state or detail changes', async () => {
+            const [kickoff] = NBA_GAMES
+            const later = { ...kickoff, shortDetail: '8:12 - 3rd', homeTeam: { ...kickoff.homeTeam, score: 61 } }
+            await storage.replaceLeagueGames('MLB', [{ ...kickoff, league: 'MLB' }])
+            await storage.replaceLeagueGames('MLB', [{ ...kickoff, league: 'MLB' }])
+            await storage.replaceLeagueGames('MLB', [{ ...later, league: 'MLB' }])
+
+            const timeline = await storage.getGameTimeline('MLB', kickoff.externalGameId)
+            assert.deepEqual(timeline.map(row => [row.home_team_score, row.short_detail]), [[55, 'Halftime'], [61, '8:12 - 3rd']])
+            assert.ok(timeline.every(row => row.recorded_at instanceof Date))
+            assert.deepEqual(await storage.getGameTimeline('MLB', 'unknown'), [])
+            await storage.replaceLeagueGames('MLB', [])
+        })
+    })
+}
+
+test('memory and sqlite return the same games in the same order', async () => {
+    for (const query of QUERIES) {
+        const { filter } = parseGamesQuery(query)
+        const [memory, sqlite] = await Promise.all([backends.memory.queryGames(filter), backends.sqlite.queryGames(filter)])
+        assert.deepEqual(keysOf(memory), keysOf(sqlite), JSON.stringify(query))
+    }
+})
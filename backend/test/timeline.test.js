@@ -0,0 +1,40 @@
+// timeline.test.js checks GET /api/games/:league/:externalGameId/timeline against the single-game route:
+// a known game lists its recorded changes, an unknown one is a 404.
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.API_AUTH = 'off'
+
+const { startServer, makeGame, ingest } = require('./helpers')
+
+let server
+
+before(async () => {
+    server = await startServer()
+    await ingest('NFL', [makeGame('NFL', '1', { state: 'in', homeScore: 7 })])
+    await ingest('NFL', [makeGame('NFL', '1', { state: 'in', homeScore: 14 })])
+})
+
+after(() => server.close())
+
+test('lists a game\'s recorded changes, oldest first', async () => {
+    const res = await fetch(`${server.url}/api/games/NFL/1/timeline`)
+    assert.equal(res.status, 200)
+    assert.deepEqual((await res.json()).map(row => row.home_team_score), [7, 14])
+})
+
+test('answers 404 for an unknown game, like the single-game route', async () => {
+    for (const path of ['/api/games/NFL/2', '/api/games/NFL/2/timeline', '/api/games/NBA/1/timeline']) {
+        const res = await fetch(`${server.url}${path}`)
+        assert.equal(res.status, 404, path)
+        assert.match((await res.json()).error, /^No game \d in league (NFL|NBA)$/)
+    }
+})
+
+test('keeps the timeline of a game that left the feed', async () => {
+    await ingest('NFL', [])
+    const res = await fetch(`${server.url}/api/games/NFL/1/timeline`)
+    assert.equal(res.status, 200)
+    assert.equal((await res.json()).length, 2)
+})
@@ -0,0 +1,109 @@
+// topics.test.js checks topic subscriptions over the WebSocket (see topics.js): a subscribe sends the
+// games its topics cover, deltas reach topic subscribers only for their games, and an unsubscribe
+// takes the games the client no longer follows away with game_removed.
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+
+process.env.STORAGE_BACKEND = 'memory'
+process.env.API_AUTH = 'off'
+
+const { startServer, connect, heldGames, makeGame, ingest } = require('./helpers')
+
+let server
+const clients = []
+
+async function connectClient() {
+    const client = await connect(server.wsUrl)
+    clients.push(client)
+    return client
+}
+
+const keysOf = held => [...held.keys()].sort()
+const NFL = [
+    makeGame('NFL', '1', { home: 'Packers', away: 'Bears' }),
+    makeGame('NFL', '2', { home: 'Chiefs', away: 'Raiders' })
+]
+const NBA = [
+    makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks' }),
+    makeGame('NBA', '11', { home: 'Lakers', away: 'Heat' })
+]
+
+before(async () => {
+    server = await startServer()
+    await ingest('NFL', NFL)
+    await ingest('NBA', NBA)
+})
+
+after(async () => {
+    for (const client of clients) client.close()
+    await server.close()
+})
+
+test('subscribing sends the games the topics cover', async () => {
+    const client = await connectClient()
+    const [subscribed] = await client.request('subscribe', { topics: ['league:nba', 'team:nfl:chi'] })
+
+    assert.equal(subscribed.type, 'subscribed')
+    assert.deepEqual(subscribed.added, ['league:NBA', 'team:NFL:CHI'])
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:10', 'NBA:11', 'NFL:2'])
+})
+
+test('routes deltas to topic subscribers by the game\'s topics', async () => {
+    const client = await connectClient()
+    await client.request('subscribe', { topics: ['game:10', 'team:NFL:CHI'] })
+
+    const from = client.messages.length
+    await ingest('NFL', [
+        makeGame('NFL', '1', { home: 'Packers', away: 'Bears', homeScore: 3 }),
+        makeGame('NFL', '2', { home: 'Chiefs', away: 'Raiders', homeScore: 7 }),
+        makeGame('NFL', '3', { home: 'Raiders', away: 'Chiefs' })
+    ])
+    await ingest('NBA', [makeGame('NBA', '10', { home: 'Celtics', away: 'Knicks', awayScore: 2 }), NBA[1]])
+    await client.next('game_changed', from)
+
+    const deltas = client.messages.slice(from).filter(message => message.type.startsWith('game_'))
+    assert.deepEqual(deltas.map(message => `${message.type} ${message.league ?? message.game.league}`).sort(), [
+        'game_added NFL',
+        'game_changed NBA',
+        'game_changed NFL'
+    ])
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:10', 'NFL:2', 'NFL:3'])
+})
+
+test('a filter and topics add up', async () => {
+    const client = await connectClient()
+    await client.request('filter_request', { filters: { leagues: ['NFL'] } })
+    await client.request('subscribe', { topics: ['game:11'] })
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:11', 'NFL:1', 'NFL:2', 'NFL:3'])
+
+    const from = client.messages.length
+    await ingest('NBA', [NBA[0], makeGame('NBA', '11', { home: 'Lakers', away: 'Heat', homeScore: 4 })])
+    const changed = await client.next('game_changed', from)
+    assert.equal(changed.external_game_id, '11')
+})
+
+test('unsubscribing removes the games the client no longer follows', async () => {
+    const client = await connectClient()
+    await client.request('subscribe', { topics: ['league:NBA', 'game:10'] })
+
+    const replies = await client.request('unsubscribe', { topics: ['league:NBA'] })
+    assert.deepEqual(replies.map(message => message.type), ['unsubscribed', 'ack'])
+    assert.deepEqual(replies[0].topics, ['game:10'])
+
+    const removed = client.messages.filter(message => message.type === 'game_removed')
+    assert.deepEqual(removed.map(message => message.external_game_id), ['11'])
+    assert.deepEqual(keysOf(heldGames(client.messages)), ['NBA:10'])
+})
+
+test('refuses invalid topics and too many of them', async () => {
+    const client = await connectClient()
+
+    const [invalid] = await client.request('subscribe', { topics: ['league:XFL', 'team:NFL', 'game:10'] })
+    assert.equal(invalid.code, 'validation_failed')
+    assert.deepEqual(invalid.details, ['league:XFL', 'team:NFL'])
+
+    const gameTopics = (from, count) => Array.from({ length: count }, (_, i) => `game:${from + i}`)
+    assert.equal((await client.request('subscribe', { topics: gameTopics(0, 101) }))[0].code, 'validation_failed')
+    assert.equal((await client.request('subscribe', { topics: gameTopics(0, 60) }))[0].type, 'subscribed')
+    assert.equal((await client.request('subscribe', { topics: gameTopics(60, 41) }))[0].code, 'limit_exceeded')
+})
@@ -0,0 +1,60 @@
+// topics.js defines the pub/sub topics clients can subscribe to and which topics a game belongs to.
+//
+//   league:<LEAGUE>              every game in a league          e.g. league:NFL
+//   team:<LEAGUE>:<TEAM>         one team's games, by abbreviation or team id   e.g. team:NFL:KC
+//   game:<EXTERNAL_GAME_ID>      a single game                   e.g. game:401547000
+const { isKnownLeague } = require('./leagueConfigs')
+
+const MAX_TOPICS_PER_CLIENT = 100
+
+/**
+ * Normalize a topic string, or return null if it is not a valid topic
+ */
+function parseTopic(topic) {
+    if (typeof topic !== 'string') return null
+    const [kind, league, ...rest] = topic.trim().split(':')
+    const parts = league === undefined ? [] : [kind === 'game' ? league : league.toUpperCase(), ...rest]
+
+    switch (kind) {
+        case 'league':
+            return parts.length === 1 && isKnownLeague(parts[0]) ? `league:${parts[0]}` : null
+        case 'team':
+            return parts.length === 2 && isKnownLeague(parts[0]) && /^[A-Za-z0-9]{1,20}$/.test(parts[1])
+                ? `team:${parts[0]}:${parts[1].toUpperCase()}`
+                : null
+        case 'game':
+            return parts.length === 1 && /^[A-Za-z0-9_-]{1,40}$/.test(parts[0]) ? `game:${parts[0]}` : null
+        default:
+            return null
+    }
+}
+
+/**
+ * Split a client's topic list into normalized valid topics and the invalid entries
+ */
+function parseTopics(topics) {
+    if (!Array.isArray(topics)) return { topics: [], invalid: [String(topics)] }
+
+    const valid = []
+    const invalid = []
+    for (const topic of topics) {
+        const parsed = parseTopic(topic)
+        if (parsed) valid.push(parsed)
+        else invalid.push(String(topic))
+    }
+    return { topics: [...new Set(valid)], invalid }
+}
+
+/**
+ * Every topic a game (a games row or a lifecycle event) is published on
+ */
+function topicsForGame(game) {
+    const topics = [`league:${game.league}`, `game:${game.external_game_id}`]
+
+    for (const team of [game.home_team_abbreviation, game.away_team_abbreviation, game.home_team_id, game.away_team_id]) {
+        if (team) topics.push(`team:${game.league}:${String(team).toUpperCase()}`)
+    }
+    return topics
+}
+
+module.exports = { parseTopic, parseTopics, topicsForGame, MAX_TOPICS_PER_CLIENT }
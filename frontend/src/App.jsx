@@ -1,38 +1,136 @@
 import { useState, useEffect, useRef } from 'react';
 
+// The server's order when a filter has no sort: live games first, then league, start time and
+// external_game_id (sortKey in backend/filters.js)
+const sortKey = (game) => [game.state === 'in' ? 1 : 2, game.league, new Date(game.start_time).toISOString(), game.external_game_id];
+const compareGames = (a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] < keyB[i] ? -1 : 1;
+    }
+    return 0;
+};
+
+// Apply a game_added / game_changed / game_removed message to the current snapshot
+const applyGameDelta = (current, delta) => {
+    if (!current?.data) return current;
+
+    const isSameGame = (game) =>
+        game.league === (delta.game?.league ?? delta.league) &&
+        game.external_game_id === (delta.game?.external_game_id ?? delta.external_game_id);
+
+    let games;
+    switch (delta.type) {
+        case 'game_added':
+            games = [...current.data.filter((game) => !isSameGame(game)), delta.game].sort(compareGames);
+            break;
+        case 'game_changed':
+            // A change of state or start time can move the game
+            games = current.data.map((game) => (isSameGame(game) ? { ...game, ...delta.changes } : game)).sort(compareGames);
+            break;
+        case 'game_removed':
+            games = current.data.filter((game) => !isSameGame(game));
+            break;
+        default:
+            return current;
+    }
+
+    return {
+        ...current,
+        data: games,
+        count: games.length,
+        is_refresh: true,
+        timestamp: delta.timestamp,
+    };
+};
+
+// Game status filters are fixed; league filters come from the server's league registry
+const stateToggleOptions = [
+    { key: 'state_pre', label: 'Upcoming', group: 'Game Status' },
+    { key: 'state_in', label: 'Live/In Progress', group: 'Game Status' },
+    { key: 'state_post', label: 'Completed', group: 'Game Status' },
+];
+
+// API key for the backend (create one with `node apiKeys.js create <name>` in backend/);
+// browsers cannot set headers on a WebSocket, so it goes in the `token` query parameter
+const API_KEY = import.meta.env.VITE_API_KEY;
+const WS_URL = `ws://localhost:4000/ws${API_KEY ? `?token=${encodeURIComponent(API_KEY)}` : ''}`;
+
+// WebSocket protocol version spoken by this client (see GET /api/protocol)
+const PROTOCOL_VERSION = 1;
+let lastRequestId = 0;
+
+// Wrap a client message in the protocol envelope; the server echoes `id` on its replies
+const protocolMessage = (type, fields = {}) => ({
+    v: PROTOCOL_VERSION,
+    id: `req-${++lastRequestId}`,
+    type,
+    ...fields,
+    timestamp: Date.now(),
+});
+
+// Application-level ping cadence; with no message at all for SILENCE_TIMEOUT_MS the socket is
+// assumed dead (half-open) and closed so the reconnect logic takes over
+const PING_INTERVAL_MS = 15000;
+const SILENCE_TIMEOUT_MS = 45000;
+
+// Quick toggle clicks are sent as one filter_request, which costs 5 of the server's
+// 20-token rate limit burst (WS_RATE_BURST); see backend/limits.js
+const FILTER_DEBOUNCE_MS = 400;
+
+// Keys of the toggles that are switched on
+const activeFilterKeys = (toggles) => Object.keys(toggles).filter((key) => toggles[key]);
+
+// Structured filter for a filter_request: league keys are league names, state keys are state_<state>
+const buildFilters = (toggles, search) => {
+    const activeFilters = activeFilterKeys(toggles);
+    return {
+        leagues: activeFilters.filter((key) => !key.startsWith('state_')),
+        states: activeFilters.filter((key) => key.startsWith('state_')).map((key) => key.replace('state_', '')),
+        ...(search.trim() && { search: search.trim() }),
+    };
+};
+
 export default function Home() {
     const [data, setData] = useState(null);
     const [connectionStatus, setConnectionStatus] = useState('Connecting');
     const [message, setMessage] = useState('');
     const [filteredData, setFilteredData] = useState(null);
+    const [staleLeagues, setStaleLeagues] = useState({});
     const wsRef = useRef(null);
 
-    // Toggle states for different filters - UPDATED TO MATCH YOUR ACTUAL DATABASE
-    const [toggles, setToggles] = useState({
-        NFL: false,
-        NBA: false,
-        MLB: false,
-        NHL: false,
-        MLS: false,
-        NCAAF: false,
-        NCAAB: false,
-        state_pre: false,
-        state_in: false,
-        state_post: false,
-    });
-
-    // Available toggle options - UPDATED TO MATCH YOUR ACTUAL DATA STRUCTURE
+    // Round-trip time of the last ping, and when anything was last heard from the server
+    const [latencyMs, setLatencyMs] = useState(null);
+    const [lastMessageAt, setLastMessageAt] = useState(null);
+    const lastMessageAtRef = useRef(null);
+    const [now, setNow] = useState(Date.now());
+
+    // Server session to resume after a reconnect: { id, lastSeq }
+    const sessionRef = useRef(null);
+
+    // Leagues from the server's registry (the `leagues` WebSocket message)
+    const [leagues, setLeagues] = useState([]);
+
+    // Toggle states for different filters, keyed by filter value; missing = off
+    const [toggles, setToggles] = useState({});
+    // Free-text search over teams and venues
+    const [search, setSearch] = useState('');
+
+    // Latest filters, for restoring them from inside the WebSocket handlers
+    const filterStateRef = useRef({ toggles: {}, search: '' });
+    useEffect(() => {
+        filterStateRef.current = { toggles, search };
+    }, [toggles, search]);
+
+    // Pending debounced filter_request from toggle clicks
+    const filterTimerRef = useRef(null);
+    useEffect(() => () => clearTimeout(filterTimerRef.current), []);
+
+    // Available toggle options: one per league, plus the game status filters
     const toggleOptions = [
-        { key: 'NFL', label: 'NFL', group: 'Leagues' },
-        { key: 'NBA', label: 'NBA', group: 'Leagues' },
-        { key: 'MLB', label: 'MLB', group: 'Leagues' },
-        { key: 'NHL', label: 'NHL', group: 'Leagues' },
-        { key: 'MLS', label: 'MLS', group: 'Leagues' },
-        { key: 'NCAAF', label: 'NCAA Football', group: 'Leagues' },
-        { key: 'NCAAB', label: 'NCAA Basketball', group: 'Leagues' },
-        { key: 'state_pre', label: 'Upcoming', group: 'Game Status' },
-        { key: 'state_in', label: 'Live/In Progress', group: 'Game Status' },
-        { key: 'state_post', label: 'Completed', group: 'Game Status' },
+        ...leagues.map((league) => ({ key: league.name, label: league.displayName, group: 'Leagues' })),
+        ...stateToggleOptions,
     ];
 
     // Group toggles by their group property
@@ -43,28 +141,61 @@ export default function Home() {
         return groups;
     }, {});
 
+    // Tick once a second so "last message N s ago" stays current
+    useEffect(() => {
+        const ticker = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(ticker);
+    }, []);
+
     useEffect(() => {
         let reconnectTimer;
+        let pingTimer;
+        let filterRetryTimer;
         let isComponentMounted = true;
 
+        // Ask for a full snapshot with the filters currently selected
+        const restoreFilters = (ws) => {
+            const { toggles: currentToggles, search: currentSearch } = filterStateRef.current;
+            ws.send(JSON.stringify(protocolMessage('filter_request', { filters: buildFilters(currentToggles, currentSearch) })));
+        };
+
         const connectWebSocket = (attempt = 1) => {
             if (!isComponentMounted) return;
 
             try {
                 // Updated WebSocket URL to match your server setup
-                const ws = new WebSocket("ws://localhost:4000/ws");
+                const ws = new WebSocket(WS_URL);
                 wsRef.current = ws;
 
                 ws.onopen = function open() {
                     if (!isComponentMounted) return;
                     console.log("WebSocket connected successfully");
                     setConnectionStatus('Connected');
-                    // Send initial connection message
-                    ws.send(JSON.stringify({ type: 'connection', timestamp: Date.now() }));
+
+                    if (sessionRef.current) {
+                        // Pick up where the previous connection left off
+                        const { id, lastSeq } = sessionRef.current;
+                        ws.send(JSON.stringify(protocolMessage('resume', { session_id: id, last_seq: lastSeq })));
+                    } else {
+                        restoreFilters(ws);
+                    }
+
+                    lastMessageAtRef.current = Date.now();
+                    clearInterval(pingTimer);
+                    pingTimer = setInterval(() => {
+                        if (Date.now() - lastMessageAtRef.current > SILENCE_TIMEOUT_MS) {
+                            console.log('No messages from server, reconnecting');
+                            ws.close(4000, 'Server silent');
+                            return;
+                        }
+                        ws.send(JSON.stringify(protocolMessage('ping', { client_time: Date.now() })));
+                    }, PING_INTERVAL_MS);
                 };
 
                 ws.onclose = function close(event) {
+                    clearInterval(pingTimer);
                     if (!isComponentMounted) return;
+                    setLatencyMs(null);
 
                     // Only log if it's not an expected initial connection failure
                     if (attempt > 1 || event.code === 1000) {
@@ -93,16 +224,60 @@ export default function Home() {
                     if (!isComponentMounted) return;
 
                     const receivedData = JSON.parse(event.data);
+                    lastMessageAtRef.current = Date.now();
+                    setLastMessageAt(lastMessageAtRef.current);
+
+                    // Messages from a fresh session sent before a resume is answered have lower
+                    // seq numbers than the resumed session's, so max() leaves them out
+                    if (sessionRef.current && receivedData.seq) {
+                        sessionRef.current.lastSeq = Math.max(sessionRef.current.lastSeq, receivedData.seq);
+                    }
+
+                    if (receivedData.type === "welcome" && !sessionRef.current) {
+                        sessionRef.current = { id: receivedData.session_id, lastSeq: receivedData.seq };
+                    } else if (receivedData.type === "resumed") {
+                        console.log(`Resumed session, ${receivedData.replayed} missed message(s) replayed`);
+                        return;
+                    } else if (receivedData.type === "snapshot_required") {
+                        // Too late to resume: continue on the new session and reload with our filters
+                        console.log('Cannot resume session:', receivedData.reason);
+                        sessionRef.current = { id: receivedData.session_id, lastSeq: receivedData.seq };
+                        restoreFilters(ws);
+                        return;
+                    }
+
+                    if (receivedData.type === "pong") {
+                        setLatencyMs(Date.now() - receivedData.client_time);
+                        return;
+                    }
                     console.log('Received:', receivedData);
 
-                    if (receivedData.type === "filtered_data") {
+                    if (receivedData.type === "ack") {
+                        // The request with this id was handled; its reply (if any) came before
+                        return;
+                    } else if (receivedData.type === "error" && receivedData.code === "rate_limited" && receivedData.request_type === "filter_request") {
+                        // Ask again once the server has tokens, with whatever filters are selected by then
+                        console.log(`Filter request rate limited, retrying in ${receivedData.retry_after_ms} ms`);
+                        clearTimeout(filterRetryTimer);
+                        filterRetryTimer = setTimeout(() => {
+                            if (isComponentMounted && ws.readyState === WebSocket.OPEN) restoreFilters(ws);
+                        }, receivedData.retry_after_ms);
+                    } else if (receivedData.type === "error") {
+                        console.error(`Server rejected ${receivedData.request_type ?? 'message'} ${receivedData.id ?? ''}: [${receivedData.code}] ${receivedData.message}`, receivedData.details);
+                        setData(receivedData);
+                    } else if (receivedData.type === "leagues") {
+                        setLeagues(receivedData.data);
+                    } else if (receivedData.type === "filtered_data") {
                         console.log("Filtered games received:", receivedData);
                         setFilteredData(receivedData);
-                    } else if (receivedData.type === "games_updated") {
-                        console.log("Games updated notification:", receivedData);
-                        setData(receivedData);
-                        // Optionally auto-refresh filters when data updates
-                        // sendFilterRequest();
+                        setStaleLeagues(receivedData.stale_since || {});
+                    } else if (receivedData.type === "league_status") {
+                        setStaleLeagues((current) => {
+                            const { [receivedData.league]: _previous, ...rest } = current;
+                            return receivedData.stale_since ? { ...rest, [receivedData.league]: receivedData.stale_since } : rest;
+                        });
+                    } else if (receivedData.type === "game_added" || receivedData.type === "game_changed" || receivedData.type === "game_removed") {
+                        setFilteredData((current) => applyGameDelta(current, receivedData));
                     } else if (receivedData.type === "new_data") {
                         console.log("New data received:", receivedData);
                         setData(receivedData);
@@ -146,6 +321,8 @@ export default function Home() {
         return () => {
             isComponentMounted = false;
             clearTimeout(initialDelay);
+            clearTimeout(filterRetryTimer);
+            clearInterval(pingTimer);
             if (reconnectTimer) {
                 clearTimeout(reconnectTimer);
             }
@@ -163,23 +340,18 @@ export default function Home() {
         };
         setToggles(newToggles);
 
-        // Send updated filters to server
-        sendFilterRequest(newToggles);
+        // Send updated filters to server once the clicking stops
+        clearTimeout(filterTimerRef.current);
+        filterTimerRef.current = setTimeout(() => {
+            const { toggles: currentToggles, search: currentSearch } = filterStateRef.current;
+            sendFilterRequest(currentToggles, currentSearch);
+        }, FILTER_DEBOUNCE_MS);
     };
 
     // Send filter request to server
-    const sendFilterRequest = (currentToggles = toggles) => {
+    const sendFilterRequest = (currentToggles = toggles, currentSearch = search) => {
         if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-            // Get array of active toggles
-            const activeFilters = Object.entries(currentToggles)
-                .filter(([key, value]) => value)
-                .map(([key]) => key);
-
-            const filterData = {
-                type: 'filter_request',
-                filters: activeFilters,
-                timestamp: Date.now()
-            };
+            const filterData = protocolMessage('filter_request', { filters: buildFilters(currentToggles, currentSearch) });
 
             wsRef.current.send(JSON.stringify(filterData));
             console.log('Sent filter request:', filterData);
@@ -190,29 +362,15 @@ export default function Home() {
 
     // Clear all filters
     const clearAllFilters = () => {
-        const clearedToggles = Object.keys(toggles).reduce((acc, key) => {
-            acc[key] = false;
-            return acc;
-        }, {});
-        setToggles(clearedToggles);
-        sendFilterRequest(clearedToggles);
+        clearTimeout(filterTimerRef.current);
+        setToggles({});
+        setSearch('');
+        sendFilterRequest({}, '');
     };
 
-    // Load initial data when connected
-    useEffect(() => {
-        if (connectionStatus === 'Connected') {
-            // Send initial filter request (empty filters = all data)
-            sendFilterRequest();
-        }
-    }, [connectionStatus]);
-
     const sendMessage = () => {
         if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-            const messageData = {
-                type: 'user_message',
-                message: message,
-                timestamp: Date.now()
-            };
+            const messageData = protocolMessage('user_message', { message });
             wsRef.current.send(JSON.stringify(messageData));
             console.log('Sent:', messageData);
             setMessage('');
@@ -223,10 +381,7 @@ export default function Home() {
 
     const sendTestData = () => {
         if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-            const testData = {
-                type: 'test_request',
-                timestamp: Date.now()
-            };
+            const testData = protocolMessage('test_request');
             wsRef.current.send(JSON.stringify(testData));
             console.log('Sent test request:', testData);
         }
@@ -236,6 +391,94 @@ export default function Home() {
         sendFilterRequest();
     };
 
+    // One team line of a game card: color stripe, logo, name, record and score
+    const TeamRow = ({ name, logo, record, color, score }) => (
+        <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+                <span
+                    className="w-1 h-6 rounded"
+                    style={{ backgroundColor: color ? `#${color}` : 'transparent' }}
+                />
+                <img
+                    src={logo}
+                    alt={name}
+                    className="w-6 h-6"
+                    onError={(e) => e.target.style.display = 'none'}
+                />
+                <span className="font-medium">{name}</span>
+                {record && <span className="text-xs text-gray-500">({record})</span>}
+            </div>
+            <span className="text-lg font-bold">{score}</span>
+        </div>
+    );
+
+    // Sport-specific live details for a game in progress
+    const SituationWidget = ({ game }) => {
+        const situation = game.situation;
+        if (game.state !== 'in' || !situation) return null;
+
+        const teamName = (side) => (side === 'home' ? game.home_team_abbreviation || game.home_team_name : game.away_team_abbreviation || game.away_team_name);
+
+        switch (situation.sport) {
+            case 'football':
+                return (
+                    <div className="mt-2 flex items-center gap-2 text-xs text-gray-700">
+                        {situation.possession && <span>🏈 {teamName(situation.possession)}</span>}
+                        {situation.downDistanceText && <span className="font-medium">{situation.downDistanceText}</span>}
+                        {situation.isRedZone && <span className="px-1 rounded bg-red-100 text-red-800">Red zone</span>}
+                    </div>
+                );
+            case 'baseball': {
+                const Base = ({ occupied, className }) => (
+                    <span className={`absolute w-2.5 h-2.5 rotate-45 border border-gray-500 ${occupied ? 'bg-yellow-400' : 'bg-white'} ${className}`} />
+                );
+                return (
+                    <div className="mt-2 flex items-center gap-3 text-xs text-gray-700">
+                        <span className="relative inline-block w-8 h-6">
+                            <Base occupied={situation.onSecond} className="left-[11px] top-0" />
+                            <Base occupied={situation.onThird} className="left-0.5 top-2" />
+                            <Base occupied={situation.onFirst} className="right-0.5 top-2" />
+                        </span>
+                        <span className="font-medium">{situation.balls}-{situation.strikes}</span>
+                        <span>
+                            {[0, 1, 2].map((i) => (
+                                <span key={i} className={`inline-block w-2 h-2 mr-0.5 rounded-full ${i < situation.outs ? 'bg-gray-700' : 'bg-gray-200'}`} />
+                            ))}
+                            <span className="ml-1">{situation.outs} out{situation.outs === 1 ? '' : 's'}</span>
+                        </span>
+                        {situation.batter && <span className="truncate">AB: {situation.batter}</span>}
+                    </div>
+                );
+            }
+            case 'hockey':
+                return situation.powerPlay ? (
+                    <div className="mt-2 text-xs">
+                        <span className="px-1 rounded bg-orange-100 text-orange-800">
+                            Power play: {teamName(situation.powerPlay)}{situation.strength ? ` (${situation.strength})` : ''}
+                        </span>
+                    </div>
+                ) : null;
+            case 'basketball': {
+                const bonusLabel = (bonus) => (bonus === 'doubleBonus' ? 'Double bonus' : bonus === 'bonus' ? 'Bonus' : null);
+                return (
+                    <div className="mt-2 grid grid-cols-2 gap-2 text-xs text-gray-700">
+                        {['away', 'home'].map((side) => (
+                            <div key={side}>
+                                <span className="font-medium">{teamName(side)}</span>
+                                {situation[`${side}Timeouts`] != null && <span> · TO {situation[`${side}Timeouts`]}</span>}
+                                {bonusLabel(situation[`${side}Bonus`]) && (
+                                    <span className="ml-1 px-1 rounded bg-purple-100 text-purple-800">{bonusLabel(situation[`${side}Bonus`])}</span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                );
+            }
+            default:
+                return null;
+        }
+    };
+
     // Format game data for better display
     const GameCard = ({ game }) => {
         const getStatusColor = (state) => {
@@ -266,34 +509,36 @@ export default function Home() {
                 </div>
 
                 <div className="space-y-2">
-                    {/* Away Team */}
-                    <div className="flex items-center justify-between">
-                        <div className="flex items-center space-x-2">
-                            <img
-                                src={game.away_team_logo}
-                                alt={game.away_team_name}
-                                className="w-6 h-6"
-                                onError={(e) => e.target.style.display = 'none'}
-                            />
-                            <span className="font-medium">{game.away_team_name}</span>
-                        </div>
-                        <span className="text-lg font-bold">{game.away_team_score}</span>
+                    <TeamRow
+                        name={game.away_team_name}
+                        logo={game.away_team_logo}
+                        record={game.away_team_record}
+                        color={game.away_team_color}
+                        score={game.away_team_score}
+                    />
+                    <TeamRow
+                        name={game.home_team_name}
+                        logo={game.home_team_logo}
+                        record={game.home_team_record}
+                        color={game.home_team_color}
+                        score={game.home_team_score}
+                    />
+                </div>
+
+                <SituationWidget game={game} />
+
+                {(game.venue_name || game.neutral_site) && (
+                    <div className="mt-2 text-xs text-gray-500">
+                        📍 {[game.venue_name, game.venue_city, game.venue_state].filter(Boolean).join(', ')}
+                        {game.neutral_site && <span className="ml-1 px-1 rounded bg-gray-100">Neutral site</span>}
                     </div>
+                )}
 
-                    {/* Home Team */}
-                    <div className="flex items-center justify-between">
-                        <div className="flex items-center space-x-2">
-                            <img
-                                src={game.home_team_logo}
-                                alt={game.home_team_name}
-                                className="w-6 h-6"
-                                onError={(e) => e.target.style.display = 'none'}
-                            />
-                            <span className="font-medium">{game.home_team_name}</span>
-                        </div>
-                        <span className="text-lg font-bold">{game.home_team_score}</span>
+                {game.broadcasts?.length > 0 && (
+                    <div className="mt-1 text-xs text-gray-500">
+                        📺 {game.broadcasts.map((b) => (b.type === 'Streaming' ? `${b.name} (stream)` : b.name)).join(', ')}
                     </div>
-                </div>
+                )}
 
                 {game.start_time && (
                     <div className="mt-2 text-xs text-gray-500">
@@ -326,8 +571,25 @@ export default function Home() {
                     }`}>
                         {connectionStatus}
                     </span>
+
+                    {connectionStatus === 'Connected' && lastMessageAt && (
+                        <span className={`text-sm ${now - lastMessageAt > PING_INTERVAL_MS * 2 ? 'text-amber-600' : 'text-gray-500'}`}>
+                            {latencyMs !== null && `${latencyMs} ms · `}
+                            last message {Math.max(0, Math.round((now - lastMessageAt) / 1000))}s ago
+                        </span>
+                    )}
                 </div>
 
+                {/* Stale data warning: last ingest for these leagues failed */}
+                {Object.keys(staleLeagues).length > 0 && (
+                    <div className="mb-4 p-3 rounded bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                        ⚠️ Showing last known data for{' '}
+                        {Object.entries(staleLeagues)
+                            .map(([league, since]) => `${league} (stale since ${new Date(since).toLocaleTimeString()})`)
+                            .join(', ')}
+                    </div>
+                )}
+
                 {/* Filter Toggles */}
                 <div className="mb-6 p-4 bg-gray-50 rounded-lg">
                     <div className="flex justify-between items-center mb-4">
@@ -350,6 +612,16 @@ export default function Home() {
                         </div>
                     </div>
 
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && sendFilterRequest()}
+                        placeholder="Search teams or venues, then press Enter..."
+                        disabled={connectionStatus !== 'Connected'}
+                        className="w-full mb-4 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm disabled:bg-gray-100"
+                    />
+
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                         {Object.entries(groupedToggles).map(([groupName, groupToggles]) => (
                             <div key={groupName} className="bg-white p-3 rounded border">
@@ -359,7 +631,7 @@ export default function Home() {
                                         <label key={toggle.key} className="flex items-center space-x-2 cursor-pointer">
                                             <input
                                                 type="checkbox"
-                                                checked={toggles[toggle.key]}
+                                                checked={!!toggles[toggle.key]}
                                                 onChange={() => handleToggleChange(toggle.key)}
                                                 disabled={connectionStatus !== 'Connected'}
                                                 className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 disabled:cursor-not-allowed"
@@ -377,13 +649,12 @@ export default function Home() {
                     {/* Active Filters Summary */}
                     <div className="mt-3 pt-3 border-t">
                         <span className="text-sm text-gray-600">Active filters: </span>
-                        {Object.entries(toggles).filter(([key, value]) => value).length === 0 ? (
+                        {activeFilterKeys(toggles).length === 0 ? (
                             <span className="text-sm text-gray-400">None (showing all games)</span>
                         ) : (
                             <span className="text-sm text-blue-600">
-                                {Object.entries(toggles)
-                                    .filter(([key, value]) => value)
-                                    .map(([key]) => toggleOptions.find(opt => opt.key === key)?.label)
+                                {activeFilterKeys(toggles)
+                                    .map((key) => toggleOptions.find(opt => opt.key === key)?.label ?? key)
                                     .join(', ')}
                             </span>
                         )}